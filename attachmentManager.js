@@ -0,0 +1,97 @@
+/**
+ * Copyright 2024 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Attachment Manager - Handles image and audio attachments for prompts
+ *
+ * Attachments are stored as data URLs so they can be saved with the chat
+ * and included in JSON exports.
+ */
+
+export const ATTACHMENT_TYPES = ["image", "audio"];
+
+// Largest file that can be attached, in bytes
+const MAX_ATTACHMENT_SIZE = 20 * 1024 * 1024;
+
+export class AttachmentManager {
+  /**
+   * Get the attachment type of a MIME type, or null if it isn't supported
+   */
+  static getType(mimeType) {
+    const type = mimeType?.split("/")[0];
+    return ATTACHMENT_TYPES.includes(type) ? type : null;
+  }
+
+  /**
+   * Read a file into an attachment
+   */
+  static async createAttachment(file) {
+    const type = this.getType(file.type);
+    if (!type) {
+      throw new Error(`${file.name} is not an image or audio file`);
+    }
+    if (file.size > MAX_ATTACHMENT_SIZE) {
+      throw new Error(
+        `${file.name} is larger than ${MAX_ATTACHMENT_SIZE / 1024 / 1024} MB`,
+      );
+    }
+
+    const data = await new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(file);
+    });
+
+    return {
+      id: `attachment-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      type,
+      name: file.name || `${type}.${file.type.split("/")[1] || "bin"}`,
+      mimeType: file.type,
+      size: file.size,
+      data,
+    };
+  }
+
+  /**
+   * Check whether a value looks like a saved attachment
+   */
+  static isAttachment(attachment) {
+    return (
+      ATTACHMENT_TYPES.includes(attachment?.type) &&
+      typeof attachment.data === "string" &&
+      attachment.data.startsWith("data:")
+    );
+  }
+
+  /**
+   * Get the `expectedInputs` session option for a list of attachment types
+   */
+  static getExpectedInputs(types) {
+    return [{ type: "text" }, ...types.map((type) => ({ type }))];
+  }
+
+  /**
+   * Build the prompt content of a message
+   * Messages without attachments the model accepts stay plain strings;
+   * others become a list of text, image and audio parts.
+   */
+  static async toContent(message, supportedTypes) {
+    const attachments = (message.attachments || []).filter((attachment) =>
+      supportedTypes.includes(attachment.type),
+    );
+    if (attachments.length === 0) {
+      return message.content;
+    }
+
+    const parts = [];
+    if (message.content) {
+      parts.push({ type: "text", value: message.content });
+    }
+    for (const attachment of attachments) {
+      const blob = await (await fetch(attachment.data)).blob();
+      parts.push({ type: attachment.type, value: blob });
+    }
+    return parts;
+  }
+}
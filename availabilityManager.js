@@ -0,0 +1,109 @@
+/**
+ * Copyright 2024 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Availability Manager - Tracks whether the selected provider's model can be
+ * used and drives its download
+ *
+ * States move from "downloadable" to "downloading" to "available";
+ * "unavailable" means the device or browser can't run the model.
+ */
+
+export const AVAILABILITY = {
+  UNAVAILABLE: "unavailable",
+  DOWNLOADABLE: "downloadable",
+  DOWNLOADING: "downloading",
+  AVAILABLE: "available",
+};
+
+// Values returned by older versions of the API
+const LEGACY_AVAILABILITY = {
+  no: AVAILABILITY.UNAVAILABLE,
+  "after-download": AVAILABILITY.DOWNLOADABLE,
+  readily: AVAILABILITY.AVAILABLE,
+};
+
+export class AvailabilityManager {
+  constructor() {
+    this.state = null;
+    // Download progress from 0 to 1, or null before the first progress event
+    this.progress = null;
+    // Whether this page is monitoring a download it started
+    this.isDownloading = false;
+    // Incremented on every check so a slow answer can't override a newer one
+    this.checkRequest = 0;
+  }
+
+  /**
+   * Ask a provider whether its model can be used with the given options
+   */
+  async check(provider, options = {}) {
+    const requestId = ++this.checkRequest;
+    let state;
+    try {
+      state = await provider.availability(options);
+    } catch (error) {
+      console.error("Failed to check model availability:", error);
+      state = AVAILABILITY.UNAVAILABLE;
+    }
+    if (requestId !== this.checkRequest) return this.state;
+
+    this.setState(LEGACY_AVAILABILITY[state] || state);
+    return this.state;
+  }
+
+  /**
+   * Whether sessions can be created without starting a download
+   */
+  isReady() {
+    return this.state === AVAILABILITY.AVAILABLE;
+  }
+
+  /**
+   * Download the model by creating a session, reporting its progress
+   * Must be called from a user gesture, like a button click
+   */
+  async download(provider, options = {}) {
+    if (this.isDownloading) return;
+
+    this.isDownloading = true;
+    this.progress = null;
+    this.setState(AVAILABILITY.DOWNLOADING);
+
+    try {
+      const session = await provider.create({
+        ...options,
+        monitor: (monitor) => {
+          monitor.addEventListener("downloadprogress", (e) => {
+            // `loaded` is a fraction in current versions and a byte count
+            // in older ones
+            this.progress = e.total ? e.loaded / e.total : e.loaded;
+            this.setState(AVAILABILITY.DOWNLOADING);
+          });
+        },
+      });
+      session.destroy();
+    } finally {
+      this.isDownloading = false;
+    }
+
+    this.progress = 1;
+    this.setState(AVAILABILITY.AVAILABLE);
+  }
+
+  /**
+   * Update the state and notify the app
+   */
+  setState(state) {
+    this.state = state;
+    this.onStateChange(state, this.progress);
+  }
+
+  /**
+   * Event handlers (to be connected with main app)
+   */
+  onStateChange(state, progress) {
+    // Will be implemented in main app
+    console.log("Model availability:", state, progress);
+  }
+}
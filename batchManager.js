@@ -0,0 +1,223 @@
+/**
+ * Copyright 2024 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Batch Manager - Reads files of prompts for the batch runner, keeps the
+ * results of the latest run and exports them
+ *
+ * Prompts come from a CSV file with a header row or a JSONL file with one
+ * object per line. Rows can override the system prompt, temperature and
+ * top-K of the run.
+ */
+
+import { StorageManager } from "./storageManager.js";
+
+// Names accepted for each field, as CSV headers or JSONL keys
+const FIELD_NAMES = {
+  prompt: ["prompt", "input", "text"],
+  systemPrompt: ["systemprompt", "system_prompt", "system"],
+  temperature: ["temperature"],
+  topK: ["topk", "top_k"],
+};
+
+// Columns of exported results, in order
+const RESULT_FIELDS = [
+  "index",
+  "prompt",
+  "systemPrompt",
+  "temperature",
+  "topK",
+  "response",
+  "truncated",
+  "error",
+  "sessionCreateTime",
+  "firstChunkTime",
+  "totalTime",
+  "charsPerSecond",
+  "tokensPerSecond",
+  "promptTokens",
+  "responseTokens",
+];
+
+export class BatchManager {
+  constructor() {
+    this.lastRun = StorageManager.loadBatchRun();
+  }
+
+  /**
+   * Parse a file of prompts into rows
+   * Files ending in `.csv` are read as CSV; anything else as JSONL.
+   */
+  static parseFile(text, fileName = "") {
+    const records = /\.csv$/i.test(fileName)
+      ? this.parseCSV(text)
+      : this.parseJSONL(text);
+
+    const rows = records.map((record, index) => this.toRow(record, index));
+    if (rows.length === 0) {
+      throw new Error("The file has no prompts");
+    }
+    return rows;
+  }
+
+  /**
+   * Parse CSV with a header row into objects keyed by header
+   * Quoted fields may contain commas, newlines and doubled quotes.
+   */
+  static parseCSV(text) {
+    const lines = [];
+    let fields = [];
+    let field = "";
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ",") {
+        fields.push(field);
+        field = "";
+      } else if (char === "\n" || char === "\r") {
+        if (char === "\r" && text[i + 1] === "\n") i++;
+        fields.push(field);
+        lines.push(fields);
+        fields = [];
+        field = "";
+      } else {
+        field += char;
+      }
+    }
+    if (field || fields.length > 0) {
+      fields.push(field);
+      lines.push(fields);
+    }
+
+    const [header = [], ...rows] = lines.filter((line) =>
+      line.some((value) => value.trim()),
+    );
+    const keys = header.map((key) => key.trim());
+    return rows.map((values) =>
+      Object.fromEntries(keys.map((key, index) => [key, values[index] ?? ""])),
+    );
+  }
+
+  /**
+   * Parse JSONL into objects; lines holding a plain string are prompts
+   */
+  static parseJSONL(text) {
+    return text
+      .split(/\r?\n/)
+      .map((line, index) => ({ line: line.trim(), number: index + 1 }))
+      .filter(({ line }) => line)
+      .map(({ line, number }) => {
+        let record;
+        try {
+          record = JSON.parse(line);
+        } catch (error) {
+          throw new Error(`Line ${number} is not valid JSON: ${error.message}`);
+        }
+        return typeof record === "string" ? { prompt: record } : record;
+      });
+  }
+
+  /**
+   * Validate a parsed record and pick out the fields of a row
+   */
+  static toRow(record, index) {
+    const get = (field) => {
+      const key = Object.keys(record || {}).find((name) =>
+        FIELD_NAMES[field].includes(name.toLowerCase()),
+      );
+      const value = key === undefined ? undefined : record[key];
+      return value === "" || value === null ? undefined : value;
+    };
+
+    const prompt = get("prompt");
+    if (typeof prompt !== "string" || !prompt.trim()) {
+      throw new Error(`Row ${index + 1} has no prompt`);
+    }
+
+    const row = { prompt: prompt.trim() };
+    const systemPrompt = get("systemPrompt");
+    if (systemPrompt !== undefined) {
+      row.systemPrompt = String(systemPrompt);
+    }
+    for (const field of ["temperature", "topK"]) {
+      const value = get(field);
+      if (value === undefined) continue;
+
+      const number = Number(value);
+      if (!Number.isFinite(number)) {
+        throw new Error(`Row ${index + 1} has an invalid ${field}: ${value}`);
+      }
+      row[field] = number;
+    }
+    return row;
+  }
+
+  /**
+   * Start a run of rows with the given default settings
+   */
+  createRun(fileName, rows, settings) {
+    return {
+      id: `batch-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      fileName,
+      startedAt: Date.now(),
+      finishedAt: null,
+      cancelled: false,
+      settings,
+      total: rows.length,
+      results: [],
+    };
+  }
+
+  /**
+   * Store a run as the latest one
+   */
+  saveRun(run) {
+    this.lastRun = run;
+    StorageManager.saveBatchRun(run);
+  }
+
+  /**
+   * Export the results of a run as CSV
+   */
+  static exportAsCSV(run) {
+    const escape = (value) => {
+      const text = value === null || value === undefined ? "" : String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const lines = [
+      RESULT_FIELDS.join(","),
+      ...run.results.map((result) =>
+        RESULT_FIELDS.map((field) => escape(result[field])).join(","),
+      ),
+    ];
+    return `${lines.join("\n")}\n`;
+  }
+
+  /**
+   * Export the results of a run as JSONL, one result per line
+   */
+  static exportAsJSONL(run) {
+    return run.results
+      .map((result) =>
+        JSON.stringify(
+          Object.fromEntries(
+            RESULT_FIELDS.map((field) => [field, result[field] ?? null]),
+          ),
+        ),
+      )
+      .map((line) => `${line}\n`)
+      .join("");
+  }
+}
@@ -5,116 +5,868 @@
  * Chat Manager - Handles chat history CRUD operations
  */
 
+import { AttachmentManager } from "./attachmentManager.js";
+import { DEFAULT_PROVIDER_ID } from "./providerManager.js";
+import { SearchIndex } from "./searchIndex.js";
 import { StorageManager } from "./storageManager.js";
+import { SyncManager } from "./syncManager.js";
+
+export const DEFAULT_SYSTEM_PROMPT =
+  "You are a helpful and friendly assistant.";
+
+const MESSAGE_ROLES = ["user", "assistant"];
+const MAX_TAG_LENGTH = 30;
+const DAY = 24 * 60 * 60 * 1000;
+const TRUNCATED_NOTE = "*(Response stopped)*";
+
+// Identifies a file holding every chat, made by exportAllChats()
+const ARCHIVE_FORMAT = "prompt-api-playground-archive";
+const ARCHIVE_VERSION = 1;
+
+// Styles of chats exported as standalone HTML pages
+const HTML_EXPORT_STYLE = `
+  body { margin: 0 auto; max-width: 800px; padding: 2rem 1rem; background: #131314; color: #e8eaed; font-family: "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif; line-height: 1.6; }
+  header { border-bottom: 1px solid #3c4043; margin-bottom: 1.5rem; }
+  h1 { font-size: 1.5rem; font-weight: 500; margin: 0 0 0.25rem; }
+  .meta, .role, .note { color: #9aa0a6; font-size: 12px; }
+  .system-prompt { border-left: 3px solid #3c4043; padding-left: 0.75rem; color: #9aa0a6; white-space: pre-wrap; }
+  .message { margin-bottom: 1.5rem; }
+  .user .bubble { background: #272a2c; border-radius: 1rem; padding: 0.75rem 1rem; white-space: pre-wrap; }
+  a { color: #8ab4f8; }
+  pre { background: #1e1e1e; border-radius: 0.5rem; padding: 0.75rem; overflow-x: auto; }
+  code { font-family: "Roboto Mono", monospace; }
+  table { border-collapse: collapse; }
+  th, td { border: 1px solid #3c4043; padding: 0.25rem 0.5rem; }
+`;
+
+/**
+ * Escape text for HTML
+ */
+function escapeHTML(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
 
 export class ChatManager {
   constructor() {
-    this.chats = StorageManager.loadChatHistory();
+    this.chats = [];
     this.activeChat = null;
+    // Folders chats can be moved into, as `{ id, name }`
+    this.folders = [];
+    // Deleted chats, most recently deleted first, until they are purged
+    this.trash = [];
+    // Days chats stay in the trash, or null to keep them until emptied
+    this.trashRetention = StorageManager.loadTrashRetention();
+    this.searchIndex = new SearchIndex();
+    // Chats this tab is streaming into, left alone by other tabs' changes
+    this.lockedChats = new Set();
+    // Chat ID -> writes in progress, during which other tabs' changes to
+    // the chat are ignored
+    this.savingChats = new Map();
+    this.sync = new SyncManager((message) => this.applyRemoteChange(message));
+  }
+
+  /**
+   * Load chats from storage
+   */
+  async load() {
+    const chats = await StorageManager.loadChatHistory();
+    this.chats = chats.filter((chat) => !chat.deletedAt);
+    this.trash = chats
+      .filter((chat) => chat.deletedAt)
+      .sort((a, b) => b.deletedAt - a.deletedAt);
+    this.folders = StorageManager.loadChatFolders();
+    this.searchIndex.invalidate();
+    await this.purgeExpiredTrash();
+    return this.chats;
   }
 
   /**
    * Create a new chat
    */
-  createNewChat(settings = {}) {
+  async createNewChat(settings = {}) {
     const chat = {
-      id: `chat-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      id: this.generateId(),
       title: "New Chat",
       timestamp: Date.now(),
       messages: [],
-      settings: {
-        temperature: settings.temperature || 1.0,
-        topK: settings.topK || 3,
+      settings: this.createSettings(settings),
+      pinned: false,
+      folder: null,
+      tags: [],
+    };
+
+    this.chats.unshift(chat);
+    this.activeChat = chat.id;
+    await this.save(chat.id);
+
+    return chat;
+  }
+
+  /**
+   * Create the settings of a new chat, filling in defaults
+   */
+  createSettings(settings = {}) {
+    return {
+      temperature: settings.temperature ?? 1.0,
+      topK: settings.topK ?? 3,
+      systemPrompt: settings.systemPrompt ?? DEFAULT_SYSTEM_PROMPT,
+      outputLanguage: settings.outputLanguage ?? "",
+      // Parameter profile the settings were last set from
+      profileId: settings.profileId ?? null,
+      provider: settings.provider ?? DEFAULT_PROVIDER_ID,
+      structuredOutput: settings.structuredOutput ?? {
+        enabled: false,
+        schema: "",
       },
     };
+  }
+
+  /**
+   * Create the chat of one column of a side-by-side comparison
+   * Columns are linked by their comparison ID; unlike new chats, they don't
+   * become the active chat.
+   */
+  async createComparisonChat(comparisonId, column, settings = {}) {
+    const chat = {
+      id: this.generateId(),
+      title: "New Chat",
+      timestamp: Date.now(),
+      messages: [],
+      settings: this.createSettings(settings),
+      pinned: false,
+      folder: null,
+      tags: [],
+      comparison: { id: comparisonId, column },
+    };
+
+    this.chats.unshift(chat);
+    await this.save(chat.id);
+
+    return chat;
+  }
+
+  /**
+   * Get the chats of a comparison, in column order
+   */
+  getComparisonChats(comparisonId) {
+    return this.chats
+      .filter((chat) => chat.comparison?.id === comparisonId)
+      .sort((a, b) => a.comparison.column - b.comparison.column);
+  }
+
+  /**
+   * Generate a unique chat ID
+   */
+  generateId() {
+    return `chat-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  /**
+   * Create a branch of a chat containing its history up to a message
+   */
+  async branchChat(chatId, messageIndex) {
+    const source = this.getChat(chatId);
+    if (!source || !source.messages[messageIndex]) return null;
+
+    const chat = {
+      id: this.generateId(),
+      title: `${source.title} (branch)`,
+      timestamp: Date.now(),
+      messages: structuredClone(source.messages.slice(0, messageIndex + 1)),
+      settings: { ...source.settings },
+      // Branches stay organized with their parent, but aren't pinned
+      pinned: false,
+      folder: source.folder ?? null,
+      tags: [...(source.tags || [])],
+      parentId: source.id,
+      branchPoint: messageIndex,
+    };
+
+    // The summary still applies if it only covers messages the branch keeps
+    if (source.summary && source.summary.endIndex <= messageIndex + 1) {
+      chat.summary = { ...source.summary };
+    }
+
+    this.chats.unshift(chat);
+    this.activeChat = chat.id;
+    await this.save(chat.id);
+
+    return chat;
+  }
+
+  /**
+   * Get a chat by ID
+   */
+  getChat(chatId) {
+    return this.chats.find((chat) => chat.id === chatId);
+  }
+
+  /**
+   * Get all chats
+   */
+  getAllChats() {
+    return this.chats;
+  }
+
+  /**
+   * Update chat
+   */
+  async updateChat(chatId, updates) {
+    const chat = this.getChat(chatId);
+    if (chat) {
+      Object.assign(chat, updates);
+      chat.timestamp = Date.now(); // Update timestamp
+      await this.save(chatId);
+      return chat;
+    }
+    return null;
+  }
+
+  /**
+   * Update chat title
+   */
+  updateChatTitle(chatId, title) {
+    return this.updateChat(chatId, { title });
+  }
+
+  /**
+   * Pin a chat above the date groups, or unpin it
+   * Doesn't change the chat's timestamp, so it keeps its place by date.
+   */
+  async setPinned(chatId, pinned) {
+    const chat = this.getChat(chatId);
+    if (!chat) return null;
+
+    chat.pinned = pinned;
+    await this.save(chatId);
+    return chat;
+  }
+
+  /**
+   * Replace a chat's tags
+   * Tags are trimmed and lowercased, and duplicates are dropped.
+   */
+  async setTags(chatId, tags) {
+    const chat = this.getChat(chatId);
+    if (!chat) return null;
+
+    chat.tags = this.normalizeTags(tags);
+    await this.save(chatId);
+    return chat;
+  }
+
+  /**
+   * Add tags to several chats and remove others from them
+   */
+  async updateTags(chatIds, added = [], removed = []) {
+    const removedTags = this.normalizeTags(removed);
+    const chats = chatIds.map((chatId) => this.getChat(chatId)).filter(Boolean);
+    chats.forEach((chat) => {
+      chat.tags = this.normalizeTags([...(chat.tags || []), ...added]).filter(
+        (tag) => !removedTags.includes(tag),
+      );
+    });
+    if (chats.length > 0) await this.save();
+    return chats;
+  }
+
+  /**
+   * Clean up a list of tags
+   */
+  normalizeTags(tags) {
+    const normalized = tags
+      .filter((tag) => typeof tag === "string")
+      .map((tag) =>
+        tag
+          .replace(/\s+/g, " ")
+          .trim()
+          .replace(/^#+\s*/, "")
+          .toLowerCase()
+          .slice(0, MAX_TAG_LENGTH),
+      )
+      .filter(Boolean);
+    return [...new Set(normalized)];
+  }
+
+  /**
+   * Get every tag used by a chat, sorted
+   */
+  getAllTags() {
+    const tags = new Set(this.chats.flatMap((chat) => chat.tags || []));
+    return [...tags].sort((a, b) => a.localeCompare(b));
+  }
+
+  /**
+   * Create a folder
+   */
+  createFolder(name) {
+    const folder = {
+      id: `folder-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      name,
+    };
+
+    this.folders.push(folder);
+    this.saveFolders();
+
+    return folder;
+  }
+
+  /**
+   * Get a folder by ID
+   */
+  getFolder(folderId) {
+    return this.folders.find((folder) => folder.id === folderId);
+  }
+
+  /**
+   * Get all folders, sorted by name
+   */
+  getAllFolders() {
+    return [...this.folders].sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Rename a folder
+   */
+  renameFolder(folderId, name) {
+    const folder = this.getFolder(folderId);
+    if (folder) {
+      folder.name = name;
+      this.saveFolders();
+      return folder;
+    }
+    return null;
+  }
+
+  /**
+   * Delete a folder, moving its chats back to the date groups
+   */
+  async deleteFolder(folderId) {
+    const index = this.folders.findIndex((folder) => folder.id === folderId);
+    if (index === -1) return false;
+
+    this.folders.splice(index, 1);
+    this.saveFolders();
+    for (const chat of this.chats.filter((chat) => chat.folder === folderId)) {
+      chat.folder = null;
+      await this.save(chat.id);
+    }
+    return true;
+  }
+
+  /**
+   * Move a chat into a folder, or out of any folder with `null`
+   */
+  async moveChatToFolder(chatId, folderId) {
+    const chat = this.getChat(chatId);
+    if (!chat || (folderId !== null && !this.getFolder(folderId))) {
+      return null;
+    }
+
+    chat.folder = folderId;
+    await this.save(chatId);
+    return chat;
+  }
+
+  /**
+   * Move several chats into a folder, or out of any folder with null
+   */
+  async moveChatsToFolder(chatIds, folderId) {
+    if (folderId !== null && !this.getFolder(folderId)) return [];
+
+    const chats = chatIds.map((chatId) => this.getChat(chatId)).filter(Boolean);
+    chats.forEach((chat) => {
+      chat.folder = folderId;
+    });
+    if (chats.length > 0) await this.save();
+    return chats;
+  }
+
+  /**
+   * Get the system prompt of a chat
+   * Chats saved before system prompts were editable use the default one
+   */
+  getSystemPrompt(chatId) {
+    const chat = this.getChat(chatId);
+    return chat?.settings?.systemPrompt ?? DEFAULT_SYSTEM_PROMPT;
+  }
+
+  /**
+   * Update the system prompt of a chat
+   */
+  async updateSystemPrompt(chatId, systemPrompt) {
+    const chat = this.getChat(chatId);
+    if (chat) {
+      chat.settings = { ...chat.settings, systemPrompt };
+      await this.save(chatId);
+      return chat;
+    }
+    return null;
+  }
+
+  /**
+   * Get the language a chat's responses are written in, or an empty string
+   * for the model's default
+   */
+  getOutputLanguage(chatId) {
+    const chat = this.getChat(chatId);
+    return chat?.settings?.outputLanguage ?? "";
+  }
+
+  /**
+   * Update several settings of a chat at once, like when applying a
+   * profile
+   */
+  async updateSettings(chatId, settings) {
+    const chat = this.getChat(chatId);
+    if (chat) {
+      chat.settings = { ...chat.settings, ...settings };
+      await this.save(chatId);
+      return chat;
+    }
+    return null;
+  }
+
+  /**
+   * Get the ID of the model provider a chat uses
+   * Chats saved before providers were selectable use the built-in model
+   */
+  getProviderId(chatId) {
+    const chat = this.getChat(chatId);
+    return chat?.settings?.provider ?? DEFAULT_PROVIDER_ID;
+  }
+
+  /**
+   * Update the model provider of a chat
+   */
+  async updateProviderId(chatId, provider) {
+    const chat = this.getChat(chatId);
+    if (chat) {
+      chat.settings = { ...chat.settings, provider };
+      await this.save(chatId);
+      return chat;
+    }
+    return null;
+  }
+
+  /**
+   * Get the structured output settings of a chat
+   * `schema` holds the JSON Schema text as the user entered it
+   */
+  getStructuredOutput(chatId) {
+    const chat = this.getChat(chatId);
+    return chat?.settings?.structuredOutput ?? { enabled: false, schema: "" };
+  }
+
+  /**
+   * Update the structured output settings of a chat
+   */
+  async updateStructuredOutput(chatId, structuredOutput) {
+    const chat = this.getChat(chatId);
+    if (chat) {
+      chat.settings = { ...chat.settings, structuredOutput };
+      await this.save(chatId);
+      return chat;
+    }
+    return null;
+  }
+
+  /**
+   * Store the summary that replaces a chat's oldest messages in the model's
+   * context
+   * `endIndex` is the index of the first message the summary doesn't cover;
+   * pass null to remove the summary.
+   */
+  async updateSummary(chatId, summary) {
+    const chat = this.getChat(chatId);
+    if (chat) {
+      if (summary) {
+        chat.summary = summary;
+      } else {
+        delete chat.summary;
+      }
+      await this.save(chatId);
+      return chat;
+    }
+    return null;
+  }
+
+  /**
+   * Drop a chat's summary when a message it covers changes
+   */
+  invalidateSummary(chat, messageIndex) {
+    if (chat.summary && messageIndex < chat.summary.endIndex) {
+      delete chat.summary;
+    }
+  }
+
+  /**
+   * Add message to chat
+   * Extra fields (e.g. `truncated`) are stored on the message as-is
+   */
+  async addMessage(chatId, role, content, extra = {}) {
+    const chat = this.getChat(chatId);
+    if (chat) {
+      chat.messages.push({
+        role,
+        content,
+        timestamp: Date.now(),
+        ...extra,
+      });
+
+      // Auto-generate title from first user message
+      if (
+        chat.title === "New Chat" &&
+        role === "user" &&
+        chat.messages.length === 1
+      ) {
+        // Prompts made of attachments alone are named after the first one
+        chat.title = this.generateTitle(
+          content || extra.attachments?.[0]?.name || "",
+        );
+      }
+
+      // The first answer to an edited prompt belongs to its selected version
+      if (role === "assistant" && chat.messages.at(-2)?.versions) {
+        this.linkAnswerVersion(chat, chat.messages.length - 1);
+      }
+
+      chat.timestamp = Date.now();
+      await this.save(chatId);
+      return chat;
+    }
+    return null;
+  }
+
+  /**
+   * Record the tokens a message used
+   * `usage` holds the message's own `tokens` and, for answers, the session's
+   * `context` usage after the answer and its `quota`
+   */
+  async updateMessageUsage(chatId, messageIndex, usage) {
+    const chat = this.getChat(chatId);
+    const message = chat?.messages[messageIndex];
+    if (!message) return null;
+
+    message.usage = usage;
+    await this.save(chatId);
+    return message;
+  }
+
+  /**
+   * Add a new version of a message and select it
+   * The message keeps the selected version's fields so the rest of the app
+   * can keep reading `content` directly. Prompt versions remember the
+   * answer version given to them, and answer versions the prompt version
+   * they answer.
+   */
+  async addMessageVersion(chatId, messageIndex, content, extra = {}) {
+    const chat = this.getChat(chatId);
+    const message = chat?.messages[messageIndex];
+    if (!message) return null;
+
+    // Keep the current answer with the prompt version being replaced
+    const answer = chat.messages[messageIndex + 1];
+    if (message.role === "user" && answer?.role === "assistant") {
+      message.answerVersion = answer.activeVersion ?? 0;
+    }
+
+    if (!message.versions) {
+      message.versions = [this.getMessageFields(message)];
+      message.activeVersion = 0;
+    }
+    message.versions[message.activeVersion] = this.getMessageFields(message);
+    message.versions.push({ content, timestamp: Date.now(), ...extra });
+    this.applyMessageVersion(message, message.versions.length - 1);
+    if (message.role === "assistant") {
+      this.linkAnswerVersion(chat, messageIndex);
+    }
+    this.invalidateSummary(chat, messageIndex);
+
+    chat.timestamp = Date.now();
+    await this.save(chatId);
+    return message;
+  }
+
+  /**
+   * Select which version of a message is shown and sent to the model
+   * A prompt and its answer switch together: selecting a prompt version
+   * selects the answer given to it, and selecting an answer version selects
+   * the prompt version it answers.
+   */
+  async selectMessageVersion(chatId, messageIndex, versionIndex) {
+    const chat = this.getChat(chatId);
+    const message = chat?.messages[messageIndex];
+    if (!message?.versions?.[versionIndex]) return null;
+
+    this.switchMessageVersion(message, versionIndex);
+    let firstIndex = messageIndex;
+    if (message.role === "user") {
+      const answer = chat.messages[messageIndex + 1];
+      if (
+        answer?.role === "assistant" &&
+        answer.versions?.[message.answerVersion]
+      ) {
+        this.switchMessageVersion(answer, message.answerVersion);
+      }
+    } else {
+      const prompt = chat.messages[messageIndex - 1];
+      const promptVersion = message.promptVersion ?? 0;
+      if (prompt?.role === "user" && prompt.versions?.[promptVersion]) {
+        this.switchMessageVersion(prompt, promptVersion);
+        prompt.answerVersion = versionIndex;
+        firstIndex = messageIndex - 1;
+      }
+    }
+    this.invalidateSummary(chat, firstIndex);
+
+    await this.save(chatId);
+    return message;
+  }
+
+  /**
+   * Get the fields of a message that differ between its versions
+   */
+  getMessageFields(message) {
+    const { role, versions, activeVersion, ...fields } = message;
+    return structuredClone(fields);
+  }
+
+  /**
+   * Store the fields of a message's selected version and select another
+   */
+  switchMessageVersion(message, versionIndex) {
+    if (message.activeVersion === versionIndex) return;
+
+    message.versions[message.activeVersion] = this.getMessageFields(message);
+    this.applyMessageVersion(message, versionIndex);
+  }
+
+  /**
+   * Tie the selected version of an answer to the selected version of the
+   * prompt before it
+   */
+  linkAnswerVersion(chat, answerIndex) {
+    const answer = chat.messages[answerIndex];
+    const prompt = chat.messages[answerIndex - 1];
+    if (prompt?.role !== "user") return;
+
+    answer.promptVersion = prompt.activeVersion ?? 0;
+    prompt.answerVersion = answer.activeVersion ?? 0;
+  }
+
+  /**
+   * Copy a version's fields onto its message
+   */
+  applyMessageVersion(message, versionIndex) {
+    Object.keys(this.getMessageFields(message)).forEach((key) => {
+      delete message[key];
+    });
+    Object.assign(message, structuredClone(message.versions[versionIndex]));
+    message.activeVersion = versionIndex;
+  }
+
+  /**
+   * Move a chat to the trash
+   */
+  async deleteChat(chatId) {
+    return (await this.deleteChats([chatId])) > 0;
+  }
+
+  /**
+   * Move several chats to the trash, returning how many were moved
+   */
+  async deleteChats(chatIds) {
+    const ids = new Set(chatIds);
+    const deleted = this.chats.filter((chat) => ids.has(chat.id));
+    if (deleted.length === 0) return 0;
+
+    this.chats = this.chats.filter((chat) => !ids.has(chat.id));
+
+    // If deleted chat was active, select another
+    if (ids.has(this.activeChat)) {
+      this.activeChat = this.chats.length > 0 ? this.chats[0].id : null;
+    }
+
+    const deletedAt = Date.now();
+    deleted.forEach((chat) => {
+      chat.deletedAt = deletedAt;
+      this.searchIndex.invalidate(chat.id);
+    });
+    this.trash.unshift(...deleted);
+
+    // Trashed chats stay in the database until they are purged
+    const saved = await this.trackSave(
+      deleted,
+      StorageManager.saveChatHistory(deleted),
+    );
+    if (this.activeChat) {
+      StorageManager.saveActiveChat(this.activeChat);
+    }
+    if (saved) {
+      this.sync.chatsChanged(deleted.map((chat) => chat.id));
+    } else {
+      this.onSaveError();
+    }
+    return deleted.length;
+  }
+
+  /**
+   * Get a chat in the trash by ID
+   */
+  getTrashedChat(chatId) {
+    return this.trash.find((chat) => chat.id === chatId);
+  }
+
+  /**
+   * Get the chats in the trash, most recently deleted first
+   */
+  getTrashedChats() {
+    return this.trash;
+  }
+
+  /**
+   * Move chats from the trash back to the history
+   */
+  async restoreChats(chatIds) {
+    const ids = new Set(chatIds);
+    const restored = this.trash.filter((chat) => ids.has(chat.id));
+    if (restored.length === 0) return [];
 
-    this.chats.unshift(chat);
-    this.activeChat = chat.id;
-    this.save();
+    this.trash = this.trash.filter((chat) => !ids.has(chat.id));
+    restored.forEach((chat) => {
+      delete chat.deletedAt;
+      // The folder may have been deleted while the chat was in the trash
+      if (chat.folder && !this.getFolder(chat.folder)) {
+        chat.folder = null;
+      }
+      this.chats.push(chat);
+    });
 
-    return chat;
+    await this.save();
+    return restored;
   }
 
   /**
-   * Get a chat by ID
+   * Delete chats in the trash for good, returning how many were deleted
    */
-  getChat(chatId) {
-    return this.chats.find((chat) => chat.id === chatId);
+  async purgeChats(chatIds) {
+    const ids = new Set(chatIds);
+    const purged = this.trash.filter((chat) => ids.has(chat.id));
+    this.trash = this.trash.filter((chat) => !ids.has(chat.id));
+
+    for (const chat of purged) {
+      await StorageManager.deleteChat(chat.id);
+    }
+    if (purged.length > 0) {
+      this.sync.chatsPurged(purged.map((chat) => chat.id));
+    }
+    return purged.length;
   }
 
   /**
-   * Get all chats
+   * Delete every chat in the trash for good
    */
-  getAllChats() {
-    return this.chats;
+  async emptyTrash() {
+    return this.purgeChats(this.trash.map((chat) => chat.id));
   }
 
   /**
-   * Update chat
+   * Delete the chats that have been in the trash longer than the retention
+   * period
    */
-  updateChat(chatId, updates) {
-    const chat = this.getChat(chatId);
-    if (chat) {
-      Object.assign(chat, updates);
-      chat.timestamp = Date.now(); // Update timestamp
-      this.save();
-      return chat;
-    }
-    return null;
+  async purgeExpiredTrash() {
+    if (this.trashRetention === null) return 0;
+
+    const cutoff = Date.now() - this.trashRetention * DAY;
+    return this.purgeChats(
+      this.trash
+        .filter((chat) => chat.deletedAt < cutoff)
+        .map((chat) => chat.id),
+    );
   }
 
   /**
-   * Update chat title
+   * Set how many days chats stay in the trash, or null to keep them until
+   * it is emptied, purging the chats that are now expired
    */
-  updateChatTitle(chatId, title) {
-    return this.updateChat(chatId, { title });
+  async setTrashRetention(days) {
+    this.trashRetention = days;
+    StorageManager.saveTrashRetention(days);
+    return this.purgeExpiredTrash();
   }
 
   /**
-   * Add message to chat
+   * Merge chats into a new chat holding all their exchanges in the order
+   * they started
+   * The new chat takes the settings of the chat that started first; the
+   * merged chats are kept.
    */
-  addMessage(chatId, role, content) {
-    const chat = this.getChat(chatId);
-    if (chat) {
-      chat.messages.push({
-        role,
-        content,
-        timestamp: Date.now(),
-      });
-
-      // Auto-generate title from first user message
-      if (
-        chat.title === "New Chat" &&
-        role === "user" &&
-        chat.messages.length === 1
-      ) {
-        chat.title = this.generateTitle(content);
-      }
+  async mergeChats(chatIds) {
+    const firstTimestamp = (chat) =>
+      chat.messages[0]?.timestamp ?? chat.timestamp;
+    const sources = chatIds
+      .map((chatId) => this.getChat(chatId))
+      .filter(Boolean)
+      .sort((a, b) => firstTimestamp(a) - firstTimestamp(b));
+    if (sources.length < 2) return null;
 
-      chat.timestamp = Date.now();
-      this.save();
-      return chat;
+    // Interleave whole exchanges by when they started, keeping each chat's
+    // own order. Edited and regenerated messages take the timestamp of
+    // their newest version, so the first version's is used.
+    const queues = sources.map((source) =>
+      this.groupExchanges(structuredClone(source.messages)),
+    );
+    const startTime = (exchange) =>
+      exchange[0].versions?.[0]?.timestamp ?? exchange[0].timestamp ?? 0;
+    const messages = [];
+    while (queues.some((queue) => queue.length > 0)) {
+      const next = queues
+        .filter((queue) => queue.length > 0)
+        .reduce((earliest, queue) =>
+          startTime(queue[0]) < startTime(earliest[0]) ? queue : earliest,
+        );
+      messages.push(...next.shift());
     }
-    return null;
+    const folders = new Set(sources.map((source) => source.folder ?? null));
+
+    const chat = {
+      id: this.generateId(),
+      title: `Merged: ${sources.map((source) => source.title).join(" + ")}`,
+      timestamp: Date.now(),
+      messages,
+      settings: structuredClone(sources[0].settings),
+      pinned: false,
+      // Stay in the folder the chats share, if any
+      folder: folders.size === 1 ? [...folders][0] : null,
+      tags: this.normalizeTags(sources.flatMap((source) => source.tags || [])),
+    };
+
+    this.chats.unshift(chat);
+    this.activeChat = chat.id;
+    await this.save(chat.id);
+
+    return chat;
   }
 
   /**
-   * Delete a chat
+   * Split messages into exchanges, each a user message followed by its
+   * answers
    */
-  deleteChat(chatId) {
-    const index = this.chats.findIndex((chat) => chat.id === chatId);
-    if (index !== -1) {
-      this.chats.splice(index, 1);
-
-      // If deleted chat was active, select another
-      if (this.activeChat === chatId) {
-        this.activeChat = this.chats.length > 0 ? this.chats[0].id : null;
+  groupExchanges(messages) {
+    const exchanges = [];
+    messages.forEach((message) => {
+      if (message.role === "user" || exchanges.length === 0) {
+        exchanges.push([message]);
+      } else {
+        exchanges[exchanges.length - 1].push(message);
       }
-
-      this.save();
-      return true;
-    }
-    return false;
+    });
+    return exchanges;
   }
 
   /**
@@ -143,17 +895,19 @@ export class ChatManager {
    * Search chats
    */
   searchChats(query) {
-    const lowerQuery = query.toLowerCase();
-    return this.chats.filter((chat) => {
-      // Search in title
-      if (chat.title.toLowerCase().includes(lowerQuery)) {
-        return true;
-      }
-      // Search in messages
-      return chat.messages.some((msg) =>
-        msg.content.toLowerCase().includes(lowerQuery),
-      );
-    });
+    const chatIds = new Set(
+      this.searchMessages(query).map((result) => result.chatId),
+    );
+    return this.chats.filter((chat) => chatIds.has(chat.id));
+  }
+
+  /**
+   * Find the titles and messages matching a query, with snippets of the
+   * matches
+   */
+  searchMessages(query) {
+    this.searchIndex.refresh(this.chats);
+    return this.searchIndex.search(query);
   }
 
   /**
@@ -219,11 +973,24 @@ export class ChatManager {
   exportChatAsJSON(chatId) {
     const chat = this.getChat(chatId);
     if (chat) {
-      return JSON.stringify(chat, null, 2);
+      return JSON.stringify(this.toExportData(chat), null, 2);
     }
     return null;
   }
 
+  /**
+   * Get the data of a chat as it is exported to JSON
+   */
+  toExportData(chat) {
+    return {
+      ...chat,
+      settings: {
+        ...chat.settings,
+        systemPrompt: chat.settings?.systemPrompt ?? DEFAULT_SYSTEM_PROMPT,
+      },
+    };
+  }
+
   /**
    * Export chat as Markdown
    */
@@ -231,34 +998,656 @@ export class ChatManager {
     const chat = this.getChat(chatId);
     if (!chat) return null;
 
-    let markdown = `# ${chat.title}\n\n`;
+    let markdown = this.createFrontMatter(chat);
+    markdown += `# ${chat.title}\n\n`;
     markdown += `*Created: ${new Date(chat.timestamp).toLocaleString()}*\n\n`;
+
+    const systemPrompt = this.getSystemPrompt(chatId);
+    if (systemPrompt) {
+      const quoted = systemPrompt
+        .split("\n")
+        .map((line) => `> ${line}`)
+        .join("\n");
+      markdown += `**System prompt**:\n\n${quoted}\n\n`;
+    }
+
     markdown += `---\n\n`;
 
     chat.messages.forEach((msg) => {
       const role = msg.role === "user" ? "**You**" : "**Assistant**";
-      markdown += `${role}:\n\n${msg.content}\n\n---\n\n`;
+      markdown += `${role}:\n\n${msg.content}\n\n`;
+      if (msg.truncated) {
+        markdown += `${TRUNCATED_NOTE}\n\n`;
+      }
+      markdown += `---\n\n`;
     });
 
     return markdown;
   }
 
+  /**
+   * Create the YAML front matter of a Markdown export
+   * Values are written as JSON, which YAML reads as the same values.
+   */
+  createFrontMatter(chat) {
+    const settings = chat.settings || {};
+    // The chat's timestamp is when it was last updated
+    const created = chat.messages[0]?.timestamp ?? chat.timestamp;
+    const fields = {
+      title: chat.title,
+      created: new Date(created).toISOString(),
+      updated: new Date(chat.timestamp).toISOString(),
+      provider: settings.provider,
+      temperature: settings.temperature,
+      topK: settings.topK,
+      tags: chat.tags?.length ? chat.tags : undefined,
+    };
+
+    const lines = Object.entries(fields)
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([key, value]) => `${key}: ${JSON.stringify(value)}`);
+    return `---\n${lines.join("\n")}\n---\n\n`;
+  }
+
+  /**
+   * Read the front matter written by createFrontMatter()
+   * Returns the fields and the Markdown after the front matter.
+   */
+  parseFrontMatter(markdown) {
+    const match = markdown.match(/^---\n([\s\S]*?)\n---\n+/);
+    if (!match) {
+      return { fields: {}, body: markdown };
+    }
+
+    const fields = {};
+    match[1].split("\n").forEach((line) => {
+      const [, key, value] = line.match(/^(\w+):\s*(.*)$/) || [];
+      if (!key) return;
+      try {
+        fields[key] = JSON.parse(value);
+      } catch {
+        // Edited by hand as a plain YAML string
+        fields[key] = value.replace(/^(["'])(.*)\1$/, "$2");
+      }
+    });
+    return { fields, body: markdown.slice(match[0].length) };
+  }
+
+  /**
+   * Export chat as plain text
+   */
+  exportChatAsText(chatId) {
+    const chat = this.getChat(chatId);
+    if (!chat) return null;
+
+    let text = `${chat.title}\n`;
+    text += `Created: ${new Date(chat.timestamp).toLocaleString()}\n\n`;
+
+    const systemPrompt = this.getSystemPrompt(chatId);
+    if (systemPrompt) {
+      text += `System prompt:\n${systemPrompt}\n\n`;
+    }
+
+    chat.messages.forEach((msg) => {
+      const role = msg.role === "user" ? "You" : "Assistant";
+      text += `${role}:\n${msg.content}\n`;
+      if (msg.truncated) {
+        text += "(Response stopped)\n";
+      }
+      text += "\n";
+    });
+
+    return text;
+  }
+
+  /**
+   * Export chat as a standalone HTML page
+   * Assistant messages are Markdown; pass a function that turns Markdown
+   * into safe HTML to render them, otherwise they are shown as text.
+   */
+  exportChatAsHTML(chatId, renderMarkdown = null) {
+    const chat = this.getChat(chatId);
+    if (!chat) return null;
+
+    const systemPrompt = this.getSystemPrompt(chatId);
+    const messages = chat.messages.map((msg) => {
+      const content =
+        msg.role === "assistant" && renderMarkdown
+          ? renderMarkdown(msg.content)
+          : `<div class="bubble">${escapeHTML(msg.content)}</div>`;
+      const note = msg.truncated
+        ? `\n      <div class="note">Response stopped</div>`
+        : "";
+      return `    <section class="message ${msg.role}">
+      <div class="role">${msg.role === "user" ? "You" : "Assistant"}</div>
+      ${content}${note}
+    </section>`;
+    });
+
+    return `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+    <title>${escapeHTML(chat.title)}</title>
+    <style>${HTML_EXPORT_STYLE}</style>
+  </head>
+  <body>
+    <header>
+      <h1>${escapeHTML(chat.title)}</h1>
+      <p class="meta">Created ${escapeHTML(new Date(chat.timestamp).toLocaleString())}</p>
+    </header>
+${systemPrompt ? `    <p class="system-prompt">${escapeHTML(systemPrompt)}</p>\n` : ""}${messages.join("\n")}
+  </body>
+</html>
+`;
+  }
+
+  /**
+   * Export chat as a JSONL line of `{ messages }`, the format of chat
+   * fine-tuning datasets
+   * The system prompt becomes the first message.
+   */
+  exportChatAsJSONL(chatId) {
+    const chat = this.getChat(chatId);
+    if (!chat) return null;
+
+    const messages = chat.messages.map((msg) => ({
+      role: msg.role,
+      content: msg.content,
+    }));
+    const systemPrompt = this.getSystemPrompt(chatId);
+    if (systemPrompt) {
+      messages.unshift({ role: "system", content: systemPrompt });
+    }
+    return `${JSON.stringify({ messages })}\n`;
+  }
+
+  /**
+   * Export every chat as one JSON archive that can be imported again
+   */
+  exportAllChats() {
+    return this.exportChats(this.chats.map((chat) => chat.id));
+  }
+
+  /**
+   * Export chats as one JSON archive that can be imported again, with the
+   * folders they are in
+   */
+  exportChats(chatIds) {
+    const chats = chatIds
+      .map((chatId) => this.getChat(chatId))
+      .filter(Boolean)
+      .map((chat) => this.toExportData(chat));
+    const folderIds = new Set(chats.map((chat) => chat.folder));
+    return JSON.stringify(
+      {
+        format: ARCHIVE_FORMAT,
+        version: ARCHIVE_VERSION,
+        exportedAt: new Date().toISOString(),
+        folders: this.folders.filter((folder) => folderIds.has(folder.id)),
+        chats,
+      },
+      null,
+      2,
+    );
+  }
+
+  /**
+   * Export every chat and folder as one archive, with the chats in the
+   * trash in a `trash` section, to back up before clearing all data
+   * Trashed chats keep `deletedAt`; importing the archive brings them back
+   * into the history.
+   */
+  exportBackup() {
+    const archive = JSON.parse(this.exportAllChats());
+    archive.folders = [...this.folders];
+    archive.trash = this.trash.map((chat) => this.toExportData(chat));
+    return JSON.stringify(archive, null, 2);
+  }
+
+  /**
+   * Parse an exported chat file into chat data
+   * JSON files may hold a single chat, an array of chats or an archive
+   * made by exportAllChats() or exportBackup(). The folders of an archive
+   * are created here, so its chats can be imported into them.
+   */
+  parseChatExport(text, fileName = "") {
+    const isJSON = /\.json$/i.test(fileName) || /^\s*[[{]/.test(text);
+    if (!isJSON) {
+      return [this.parseMarkdownExport(text)];
+    }
+
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Invalid JSON: ${error.message}`);
+    }
+    if (data?.format === ARCHIVE_FORMAT) {
+      if (!Array.isArray(data.chats)) {
+        throw new Error("The archive has no chats");
+      }
+      const chats = [
+        ...data.chats,
+        ...(Array.isArray(data.trash) ? data.trash : []),
+      ];
+      if (!Array.isArray(data.folders)) {
+        return chats;
+      }
+
+      const folderIds = this.importFolders(data.folders);
+      return chats.map((chat) =>
+        folderIds.has(chat?.folder)
+          ? { ...chat, folder: folderIds.get(chat.folder) }
+          : chat,
+      );
+    }
+    return Array.isArray(data) ? data : [data];
+  }
+
+  /**
+   * Add the folders of an archive that aren't in the history yet
+   * Folders are matched by ID, then by name. Returns a map from the
+   * archive's folder IDs to the IDs in the history.
+   */
+  importFolders(folders) {
+    const folderIds = new Map();
+    let added = false;
+
+    folders.forEach((folder) => {
+      if (typeof folder?.id !== "string" || typeof folder.name !== "string") {
+        return;
+      }
+      const name = folder.name.trim();
+      if (!name) return;
+
+      const existing =
+        this.getFolder(folder.id) ||
+        this.folders.find((item) => item.name === name);
+      if (existing) {
+        folderIds.set(folder.id, existing.id);
+        return;
+      }
+      this.folders.push({ id: folder.id, name });
+      folderIds.set(folder.id, folder.id);
+      added = true;
+    });
+
+    if (added) {
+      this.saveFolders();
+    }
+    return folderIds;
+  }
+
+  /**
+   * Parse a chat exported with exportChatAsMarkdown()
+   */
+  parseMarkdownExport(text) {
+    const { fields, body: markdown } = this.parseFrontMatter(
+      text.replace(/\r\n/g, "\n"),
+    );
+
+    // Messages are separated by rules, but only split where the next block
+    // starts with a role so rules inside a message are kept
+    const [header, ...sections] = markdown.split(
+      /\n---\n\n(?=\*\*(?:You|Assistant)\*\*:\n)/,
+    );
+
+    const title =
+      typeof fields.title === "string" && fields.title.trim()
+        ? fields.title.trim()
+        : header.match(/^# (.+)$/m)?.[1].trim();
+    if (!title) {
+      throw new Error("Missing chat title");
+    }
+
+    const created = Date.parse(header.match(/^\*Created: (.+)\*$/m)?.[1]);
+    const systemPrompt = header
+      .match(/^\*\*System prompt\*\*:\n\n((?:>.*(?:\n|$))+)/m)?.[1]
+      .trimEnd()
+      .split("\n")
+      .map((line) => line.replace(/^> ?/, ""))
+      .join("\n");
+
+    const messages = sections.map((section, index) => {
+      const [, speaker, rest] = section.match(
+        /^\*\*(You|Assistant)\*\*:\n\n?([\s\S]*)$/,
+      );
+
+      // Every message is followed by a rule, drop the one after the last
+      let content =
+        index === sections.length - 1 ? rest.replace(/\n*---\s*$/, "") : rest;
+      content = content.trim();
+
+      const message = {
+        role: speaker === "You" ? "user" : "assistant",
+        content,
+      };
+      if (message.role === "assistant" && content.endsWith(TRUNCATED_NOTE)) {
+        message.content = content.slice(0, -TRUNCATED_NOTE.length).trim();
+        message.truncated = true;
+      }
+      return message;
+    });
+
+    const settings = {};
+    if (systemPrompt !== undefined) settings.systemPrompt = systemPrompt;
+    for (const key of ["provider", "temperature", "topK"]) {
+      if (fields[key] !== undefined) settings[key] = fields[key];
+    }
+
+    const timestamp = Date.parse(fields.updated) || created;
+    return {
+      title,
+      timestamp: Number.isNaN(timestamp) ? undefined : timestamp,
+      messages,
+      settings,
+      tags: fields.tags,
+    };
+  }
+
+  /**
+   * Validate imported chat data and add it to the history
+   * IDs that are missing or already in use are regenerated
+   */
+  async importChat(data) {
+    if (!data || typeof data !== "object" || !Array.isArray(data.messages)) {
+      throw new Error("Not an exported chat");
+    }
+
+    const messages = data.messages.map((msg, index) => {
+      if (!MESSAGE_ROLES.includes(msg?.role)) {
+        throw new Error(`Message ${index + 1} has an unknown role`);
+      }
+      if (typeof msg.content !== "string") {
+        throw new Error(`Message ${index + 1} has no text content`);
+      }
+      const message = {
+        ...msg,
+        timestamp: Number.isFinite(msg.timestamp) ? msg.timestamp : Date.now(),
+      };
+      if (msg.attachments !== undefined) {
+        message.attachments = Array.isArray(msg.attachments)
+          ? msg.attachments.filter((attachment) =>
+              AttachmentManager.isAttachment(attachment),
+            )
+          : [];
+      }
+      if (msg.usage !== undefined && !Number.isFinite(msg.usage?.tokens)) {
+        delete message.usage;
+      }
+      if (
+        msg.metrics !== undefined &&
+        !Number.isFinite(msg.metrics?.totalTime)
+      ) {
+        delete message.metrics;
+      }
+      return message;
+    });
+
+    const settings = data.settings || {};
+    const chat = {
+      id:
+        typeof data.id === "string" &&
+        !this.getChat(data.id) &&
+        !this.getTrashedChat(data.id)
+          ? data.id
+          : this.generateId(),
+      title:
+        typeof data.title === "string" && data.title.trim()
+          ? data.title.trim()
+          : "Imported Chat",
+      timestamp: Number.isFinite(data.timestamp) ? data.timestamp : Date.now(),
+      messages,
+      settings: {
+        temperature: Number.isFinite(settings.temperature)
+          ? settings.temperature
+          : 1.0,
+        topK: Number.isFinite(settings.topK) ? settings.topK : 3,
+        systemPrompt:
+          typeof settings.systemPrompt === "string"
+            ? settings.systemPrompt
+            : DEFAULT_SYSTEM_PROMPT,
+        outputLanguage:
+          typeof settings.outputLanguage === "string"
+            ? settings.outputLanguage
+            : "",
+        profileId:
+          typeof settings.profileId === "string" ? settings.profileId : null,
+        provider:
+          typeof settings.provider === "string"
+            ? settings.provider
+            : DEFAULT_PROVIDER_ID,
+        structuredOutput: {
+          enabled: settings.structuredOutput?.enabled === true,
+          schema:
+            typeof settings.structuredOutput?.schema === "string"
+              ? settings.structuredOutput.schema
+              : "",
+        },
+      },
+    };
+
+    chat.pinned = data.pinned === true;
+    chat.folder =
+      typeof data.folder === "string" && this.getFolder(data.folder)
+        ? data.folder
+        : null;
+    chat.tags = Array.isArray(data.tags) ? this.normalizeTags(data.tags) : [];
+
+    const summary = data.summary;
+    if (
+      typeof summary?.content === "string" &&
+      Number.isInteger(summary.endIndex) &&
+      summary.endIndex > 0 &&
+      summary.endIndex <= messages.length
+    ) {
+      chat.summary = { content: summary.content, endIndex: summary.endIndex };
+    }
+
+    this.chats.push(chat);
+    await this.save(chat.id);
+
+    return chat;
+  }
+
   /**
    * Save chats to storage
+   * Pass a chat ID to only write that chat instead of the whole history
    */
-  save() {
-    StorageManager.saveChatHistory(this.chats);
+  async save(chatId = null) {
+    // Keep the most recently updated chats first
+    this.chats.sort((a, b) => b.timestamp - a.timestamp);
+    this.searchIndex.invalidate(chatId);
+
+    const chat = chatId ? this.getChat(chatId) : null;
+    const saved = chat
+      ? await this.trackSave([chat], StorageManager.saveChat(chat))
+      : await this.trackSave(
+          this.chats,
+          StorageManager.saveChatHistory(this.chats),
+        );
+
     if (this.activeChat) {
       StorageManager.saveActiveChat(this.activeChat);
     }
+    if (saved) {
+      this.sync.chatsChanged(chat ? [chat.id] : null);
+    } else {
+      this.onSaveError();
+    }
+    return saved;
+  }
+
+  /**
+   * Wait for chats to be written, marking them as being saved meanwhile
+   * A chat's stored copy is stale until then, so taking it in when another
+   * tab saves would undo this tab's edits.
+   */
+  async trackSave(chats, saving) {
+    const ids = chats.map((chat) => chat.id);
+    ids.forEach((id) =>
+      this.savingChats.set(id, (this.savingChats.get(id) ?? 0) + 1),
+    );
+    try {
+      return await saving;
+    } finally {
+      ids.forEach((id) => {
+        const count = this.savingChats.get(id) - 1;
+        if (count > 0) {
+          this.savingChats.set(id, count);
+        } else {
+          this.savingChats.delete(id);
+        }
+      });
+    }
+  }
+
+  /**
+   * Save folders to storage
+   */
+  saveFolders() {
+    if (StorageManager.saveChatFolders(this.folders)) {
+      this.sync.foldersChanged();
+    } else {
+      this.onSaveError();
+    }
   }
 
   /**
    * Clear all chats
    */
-  clearAll() {
+  async clearAll() {
     this.chats = [];
+    this.trash = [];
     this.activeChat = null;
-    return StorageManager.clearAll();
+    this.folders = [];
+    this.searchIndex.invalidate();
+    const cleared = await StorageManager.clearAll();
+    this.sync.cleared();
+    return cleared;
+  }
+
+  /**
+   * Hold a chat while a response streams into it, so other tabs can't
+   * stream into it at the same time
+   * Returns a function that lets go of the chat, or null if another tab is
+   * holding it. Changes other tabs make to the chat meanwhile are picked up
+   * once it's let go.
+   */
+  async lockChat(chatId) {
+    const release = await SyncManager.lockChat(chatId);
+    if (!release) return null;
+
+    this.lockedChats.add(chatId);
+    return () => {
+      this.lockedChats.delete(chatId);
+      release();
+      this.applyRemoteChange({ type: "chats", chatIds: [chatId] });
+    };
+  }
+
+  /**
+   * Apply a change another tab made to the history
+   */
+  async applyRemoteChange(message) {
+    switch (message?.type) {
+      case "chats": {
+        const changed = await this.syncChats(message.chatIds);
+        if (changed.length > 0) this.onRemoteChange(changed);
+        break;
+      }
+      case "purged": {
+        // A chat streaming a response here is kept, and saved again once
+        // the response is added
+        const ids = new Set(
+          message.chatIds.filter((chatId) => !this.lockedChats.has(chatId)),
+        );
+        const changed = [...this.chats, ...this.trash]
+          .filter((chat) => ids.has(chat.id))
+          .map((chat) => chat.id);
+        if (changed.length === 0) break;
+
+        this.chats = this.chats.filter((chat) => !ids.has(chat.id));
+        this.trash = this.trash.filter((chat) => !ids.has(chat.id));
+        changed.forEach((chatId) => this.searchIndex.invalidate(chatId));
+        this.onRemoteChange(changed);
+        break;
+      }
+      case "folders":
+        this.folders = StorageManager.loadChatFolders();
+        this.onRemoteChange([]);
+        break;
+      case "cleared":
+        this.onRemoteClear();
+        break;
+    }
+  }
+
+  /**
+   * Read chats another tab saved back from storage, or every chat when
+   * chatIds is null, returning the IDs of the chats that changed
+   */
+  async syncChats(chatIds) {
+    const stored = chatIds
+      ? await StorageManager.loadChats(chatIds)
+      : await StorageManager.loadChatHistory();
+    const changed = stored
+      .filter((chat) => this.mergeChat(chat))
+      .map((chat) => chat.id);
+
+    if (changed.length > 0) {
+      this.chats.sort((a, b) => b.timestamp - a.timestamp);
+      this.trash.sort((a, b) => b.deletedAt - a.deletedAt);
+    }
+    return changed;
+  }
+
+  /**
+   * Take a stored copy of a chat unless this tab's copy was updated more
+   * recently, moving it between the history and the trash as needed
+   * Returns whether the chat changed.
+   */
+  mergeChat(stored) {
+    if (this.lockedChats.has(stored.id) || this.savingChats.has(stored.id)) {
+      return false;
+    }
+
+    let chat = this.getChat(stored.id) ?? this.getTrashedChat(stored.id);
+    if (chat) {
+      if (chat.timestamp > stored.timestamp) return false;
+      if (JSON.stringify(chat) === JSON.stringify(stored)) return false;
+
+      // Update the chat in place, as the app may be holding on to it
+      Object.keys(chat).forEach((key) => delete chat[key]);
+      Object.assign(chat, stored);
+      this.chats = this.chats.filter((other) => other !== chat);
+      this.trash = this.trash.filter((other) => other !== chat);
+    } else {
+      chat = stored;
+    }
+
+    (chat.deletedAt ? this.trash : this.chats).push(chat);
+    this.searchIndex.invalidate(chat.id);
+    return true;
+  }
+
+  /**
+   * Event handlers (to be connected with main app)
+   */
+  onSaveError() {
+    // Will be implemented in main app
+    console.warn("Chats could not be saved");
+  }
+
+  onRemoteChange(chatIds) {
+    // Will be implemented in main app
+    console.log("Chats changed in another tab:", chatIds);
+  }
+
+  onRemoteClear() {
+    // Will be implemented in main app
+    console.log("All data was cleared in another tab");
   }
 }
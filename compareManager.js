@@ -0,0 +1,198 @@
+/**
+ * Copyright 2024 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Compare Manager - Sends one prompt to several sessions with different
+ * settings so their responses can be compared side by side
+ *
+ * Each column is saved as its own chat, linked to the other columns by a
+ * shared comparison ID, so a comparison can be reopened and continued.
+ */
+
+import { ContextManager } from "./contextManager.js";
+import { ProviderManager } from "./providerManager.js";
+
+export const MIN_COLUMNS = 2;
+export const MAX_COLUMNS = 4;
+
+export class CompareManager {
+  constructor(chatManager) {
+    this.chatManager = chatManager;
+    this.comparisonId = null;
+    // Each column has its `settings`, the ID of its chat once it has been
+    // saved, and its live session
+    this.columns = [];
+  }
+
+  /**
+   * Start a new comparison whose columns all begin with the given settings
+   */
+  start(settings) {
+    this.reset();
+    this.comparisonId = `comparison-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    this.columns = Array.from({ length: MIN_COLUMNS }, () =>
+      this.createColumn(settings),
+    );
+  }
+
+  /**
+   * Reopen a saved comparison
+   */
+  open(comparisonId) {
+    const chats = this.chatManager.getComparisonChats(comparisonId);
+    if (chats.length === 0) return false;
+
+    this.reset();
+    this.comparisonId = comparisonId;
+    this.columns = chats.map((chat) => ({
+      ...this.createColumn(chat.settings),
+      chatId: chat.id,
+    }));
+    return true;
+  }
+
+  /**
+   * Whether a comparison is open
+   */
+  isActive() {
+    return this.comparisonId !== null;
+  }
+
+  /**
+   * Create an unsaved column
+   */
+  createColumn(settings = {}) {
+    return {
+      chatId: null,
+      settings: {
+        temperature: settings.temperature,
+        topK: settings.topK,
+        systemPrompt: settings.systemPrompt ?? "",
+        outputLanguage: settings.outputLanguage ?? "",
+      },
+      session: null,
+      createTime: null,
+    };
+  }
+
+  /**
+   * Add a column with the settings of the last one
+   */
+  addColumn() {
+    if (this.columns.length >= MAX_COLUMNS) return null;
+
+    const column = this.createColumn(
+      this.columns[this.columns.length - 1]?.settings,
+    );
+    this.columns.push(column);
+    return column;
+  }
+
+  /**
+   * Remove a column, keeping its chat in the history as a regular chat
+   */
+  async removeColumn(index) {
+    const column = this.columns[index];
+    if (!column || this.columns.length <= MIN_COLUMNS) return false;
+
+    column.session?.destroy();
+    this.columns.splice(index, 1);
+    if (column.chatId) {
+      await this.chatManager.updateChat(column.chatId, { comparison: null });
+    }
+    return true;
+  }
+
+  /**
+   * Change a column's settings
+   * Its session is recreated with them on the next prompt.
+   */
+  async updateColumn(index, settings) {
+    const column = this.columns[index];
+    if (!column) return null;
+
+    column.settings = { ...column.settings, ...settings };
+    column.session?.destroy();
+    column.session = null;
+
+    const chat = this.chatManager.getChat(column.chatId);
+    if (chat) {
+      await this.chatManager.updateChat(chat.id, {
+        settings: { ...chat.settings, ...column.settings },
+      });
+    }
+    return column;
+  }
+
+  /**
+   * Save a chat for every column that doesn't have one yet
+   */
+  async saveColumns(providerId) {
+    const used = this.columns
+      .map((column) => this.chatManager.getChat(column.chatId))
+      .filter(Boolean)
+      .map((chat) => chat.comparison.column);
+    let nextColumn = used.length > 0 ? Math.max(...used) + 1 : 0;
+
+    for (const column of this.columns) {
+      if (this.chatManager.getChat(column.chatId)) continue;
+
+      const chat = await this.chatManager.createComparisonChat(
+        this.comparisonId,
+        nextColumn++,
+        { ...column.settings, provider: providerId },
+      );
+      column.chatId = chat.id;
+    }
+  }
+
+  /**
+   * Get a column's session, creating it from its chat's history
+   */
+  async getSession(index, provider) {
+    const column = this.columns[index];
+    if (column.session) return column.session;
+
+    const start = performance.now();
+    const { temperature, topK, systemPrompt, outputLanguage } = column.settings;
+    const systemPrompts = systemPrompt
+      ? [{ role: "system", content: systemPrompt }]
+      : [];
+    const languageOptions = ProviderManager.getLanguageOptions(outputLanguage);
+    let session = await provider.create({
+      temperature,
+      topK,
+      initialPrompts: systemPrompts,
+      ...languageOptions,
+    });
+
+    // Restore as much of the conversation as fits, like regular chats
+    const messages = this.chatManager.getChat(column.chatId)?.messages || [];
+    const { prompts } = await ContextManager.fitHistory(
+      session,
+      messages.map(({ role, content }) => ({ role, content })),
+    );
+    if (prompts.length > 0) {
+      session.destroy();
+      session = await provider.create({
+        temperature,
+        topK,
+        initialPrompts: [...systemPrompts, ...prompts],
+        ...languageOptions,
+      });
+    }
+
+    column.session = session;
+    column.createTime = performance.now() - start;
+    return session;
+  }
+
+  /**
+   * Close the comparison and destroy its sessions
+   */
+  reset() {
+    this.columns.forEach((column) => column.session?.destroy());
+    this.columns = [];
+    this.comparisonId = null;
+  }
+}
@@ -0,0 +1,198 @@
+/**
+ * Copyright 2024 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Context Manager - Rebuilds the model context from saved chat history,
+ * measures the tokens each turn uses and summarizes the oldest turns when it
+ * runs out of room
+ */
+
+import { ProviderManager } from "./providerManager.js";
+
+// Tokens kept free for the next prompt and its response
+const RESPONSE_TOKEN_RESERVE = 512;
+
+// Share of the input quota that triggers summarizing older turns
+const SUMMARY_THRESHOLD = 0.8;
+
+// Most recent user turns that are always kept word for word
+const KEEP_RECENT_TURNS = 2;
+
+// Longest message, in characters, passed to the summarizer as-is
+const MAX_SUMMARY_MESSAGE_LENGTH = 2000;
+
+const SUMMARY_INSTRUCTIONS =
+  "You summarize conversations between a user and an assistant. Write a concise summary that keeps the facts, names, decisions and open questions needed to continue the conversation. Reply with the summary only.";
+
+export class ContextManager {
+  /**
+   * Measure how many tokens a piece of content uses in a session
+   * Content can be a string or a list of text, image and audio parts
+   */
+  static async measure(session, content) {
+    // Multimodal parts are only accepted as the content of a message
+    const input = Array.isArray(content)
+      ? [{ role: "user", content }]
+      : content;
+
+    // `countPromptTokens(input)` was renamed to `measureInputUsage(input)`.
+    if (session.measureInputUsage) {
+      return session.measureInputUsage(input);
+    }
+    if (session.countPromptTokens) {
+      return session.countPromptTokens(input);
+    }
+    // Rough estimate from the text when the session can't measure input
+    const text = Array.isArray(content)
+      ? content
+          .filter((part) => part.type === "text")
+          .map((part) => part.value)
+          .join("")
+      : content;
+    return Math.ceil(text.length / 4);
+  }
+
+  /**
+   * Select the most recent turns of a conversation that fit in the session's
+   * remaining input quota. Returns the prompts to restore and the index of the
+   * first message that made it into the context.
+   */
+  static async fitHistory(session, messages) {
+    const maxTokens = session.inputQuota || session.maxTokens;
+    const tokensSoFar = session.inputUsage || session.tokensSoFar || 0;
+    const budget = maxTokens - tokensSoFar - RESPONSE_TOKEN_RESERVE;
+
+    let firstIndex = messages.length;
+    let used = 0;
+    let pending = 0;
+
+    // Walk backwards one turn at a time so the restored history always
+    // starts with a user message
+    for (let i = messages.length - 1; i >= 0; i--) {
+      pending += await this.measure(session, messages[i].content);
+
+      if (messages[i].role !== "user") {
+        continue;
+      }
+
+      if (used + pending > budget) {
+        break;
+      }
+
+      used += pending;
+      pending = 0;
+      firstIndex = i;
+    }
+
+    const prompts = messages.slice(firstIndex).map(({ role, content }) => ({
+      role,
+      content,
+    }));
+
+    return { prompts, firstIndex };
+  }
+
+  /**
+   * Check whether sending an input would push the session past the
+   * summary threshold
+   */
+  static async isNearQuota(session, input) {
+    const maxTokens = session.inputQuota || session.maxTokens;
+    if (!maxTokens) return false;
+
+    const tokensSoFar = session.inputUsage || session.tokensSoFar || 0;
+    const needed =
+      tokensSoFar +
+      (await this.measure(session, input)) +
+      RESPONSE_TOKEN_RESERVE;
+    return needed > maxTokens * SUMMARY_THRESHOLD;
+  }
+
+  /**
+   * Measure the tokens of a prompt and its response, along with the
+   * session's context usage once the response has joined it
+   * Returns null if the session can't be measured.
+   */
+  static async measureExchange(session, input, response) {
+    try {
+      return {
+        prompt: await this.measure(session, input),
+        response: response ? await this.measure(session, response) : 0,
+        context: session.inputUsage || session.tokensSoFar || 0,
+        quota: session.inputQuota || session.maxTokens || 0,
+      };
+    } catch (error) {
+      console.error("Failed to measure token usage:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Find where a summary of the messages from `startIndex` should end,
+   * leaving the most recent turns out of it
+   * Returns `startIndex` when there is nothing old enough to summarize.
+   */
+  static findSummaryEnd(messages, startIndex = 0) {
+    const userIndexes = [];
+    messages.forEach((message, index) => {
+      if (index >= startIndex && message.role === "user") {
+        userIndexes.push(index);
+      }
+    });
+
+    if (userIndexes.length <= KEEP_RECENT_TURNS) {
+      return startIndex;
+    }
+    return userIndexes[userIndexes.length - KEEP_RECENT_TURNS];
+  }
+
+  /**
+   * Summarize messages with a provider's model, extending a previous summary
+   * Aborting the signal stops the summary part way.
+   */
+  static async summarize(
+    provider,
+    messages,
+    previousSummary = "",
+    { signal, outputLanguage = "" } = {},
+  ) {
+    const transcript = messages
+      .map((message) => {
+        const speaker = message.role === "user" ? "User" : "Assistant";
+        let content = message.content;
+        if (content.length > MAX_SUMMARY_MESSAGE_LENGTH) {
+          content = `${content.slice(0, MAX_SUMMARY_MESSAGE_LENGTH)}...`;
+        }
+        const attachments = (message.attachments || [])
+          .map((attachment) => `[${attachment.type}: ${attachment.name}]`)
+          .join(" ");
+        return `${speaker}: ${[content, attachments].filter(Boolean).join(" ")}`;
+      })
+      .join("\n\n");
+
+    const prompt = previousSummary
+      ? `Summary so far:\n${previousSummary}\n\nConversation that follows it:\n${transcript}`
+      : `Conversation:\n${transcript}`;
+
+    const session = await provider.create({
+      initialPrompts: [{ role: "system", content: SUMMARY_INSTRUCTIONS }],
+      signal,
+      ...ProviderManager.getLanguageOptions(outputLanguage),
+    });
+    try {
+      return (await session.prompt(prompt, { signal })).trim();
+    } finally {
+      session.destroy();
+    }
+  }
+
+  /**
+   * Add a summary of earlier turns to a system prompt
+   */
+  static withSummary(systemPrompt, summary) {
+    if (!summary) return systemPrompt;
+
+    const section = `Summary of the earlier conversation:\n${summary.content}`;
+    return systemPrompt ? `${systemPrompt}\n\n${section}` : section;
+  }
+}
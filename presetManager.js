@@ -0,0 +1,84 @@
+/**
+ * Copyright 2024 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Preset Manager - Handles the library of named system prompt presets
+ */
+
+import { StorageManager } from "./storageManager.js";
+
+export class PresetManager {
+  constructor() {
+    this.presets = StorageManager.loadSystemPromptPresets();
+  }
+
+  /**
+   * Create a new preset
+   */
+  createPreset(name, content) {
+    const preset = {
+      id: `preset-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      name,
+      content,
+    };
+
+    this.presets.push(preset);
+    this.save();
+
+    return preset;
+  }
+
+  /**
+   * Get a preset by ID
+   */
+  getPreset(presetId) {
+    return this.presets.find((preset) => preset.id === presetId);
+  }
+
+  /**
+   * Get all presets, sorted by name
+   */
+  getAllPresets() {
+    return [...this.presets].sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Find the preset whose content matches a system prompt
+   */
+  findPresetByContent(content) {
+    return this.presets.find((preset) => preset.content === content);
+  }
+
+  /**
+   * Rename a preset
+   */
+  renamePreset(presetId, name) {
+    const preset = this.getPreset(presetId);
+    if (preset) {
+      preset.name = name;
+      this.save();
+      return preset;
+    }
+    return null;
+  }
+
+  /**
+   * Delete a preset
+   */
+  deletePreset(presetId) {
+    const index = this.presets.findIndex((preset) => preset.id === presetId);
+    if (index !== -1) {
+      this.presets.splice(index, 1);
+      this.save();
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Save presets to storage
+   */
+  save() {
+    StorageManager.saveSystemPromptPresets(this.presets);
+  }
+}
@@ -0,0 +1,145 @@
+/**
+ * Copyright 2024 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Profile Manager - Handles the library of named parameter profiles
+ *
+ * A profile holds the temperature, top-K, system prompt and output
+ * language of a chat. Chats remember the profile they were set from, and
+ * one profile can be the default new chats start with.
+ */
+
+import { StorageManager } from "./storageManager.js";
+
+// Settings a profile holds
+const PROFILE_FIELDS = [
+  "temperature",
+  "topK",
+  "systemPrompt",
+  "outputLanguage",
+];
+
+export class ProfileManager {
+  constructor() {
+    this.profiles = StorageManager.loadParameterProfiles();
+    this.defaultProfileId = StorageManager.loadDefaultProfile();
+  }
+
+  /**
+   * Create a new profile from chat settings
+   */
+  createProfile(name, settings) {
+    const profile = {
+      id: `profile-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      name,
+      ...ProfileManager.pickSettings(settings),
+    };
+
+    this.profiles.push(profile);
+    this.save();
+
+    return profile;
+  }
+
+  /**
+   * Get a profile by ID
+   */
+  getProfile(profileId) {
+    return this.profiles.find((profile) => profile.id === profileId);
+  }
+
+  /**
+   * Get all profiles, sorted by name
+   */
+  getAllProfiles() {
+    return [...this.profiles].sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Replace a profile's settings
+   */
+  updateProfile(profileId, settings) {
+    const profile = this.getProfile(profileId);
+    if (profile) {
+      Object.assign(profile, ProfileManager.pickSettings(settings));
+      this.save();
+      return profile;
+    }
+    return null;
+  }
+
+  /**
+   * Rename a profile
+   */
+  renameProfile(profileId, name) {
+    const profile = this.getProfile(profileId);
+    if (profile) {
+      profile.name = name;
+      this.save();
+      return profile;
+    }
+    return null;
+  }
+
+  /**
+   * Delete a profile, no longer starting new chats with it if it was the
+   * default
+   */
+  deleteProfile(profileId) {
+    const index = this.profiles.findIndex(
+      (profile) => profile.id === profileId,
+    );
+    if (index !== -1) {
+      this.profiles.splice(index, 1);
+      this.save();
+      if (this.defaultProfileId === profileId) {
+        this.setDefaultProfile(null);
+      }
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Get the profile new chats start with, if any
+   */
+  getDefaultProfile() {
+    return this.getProfile(this.defaultProfileId) ?? null;
+  }
+
+  /**
+   * Set the profile new chats start with, or null to start them with the
+   * model's defaults
+   */
+  setDefaultProfile(profileId) {
+    this.defaultProfileId = profileId || null;
+    StorageManager.saveDefaultProfile(this.defaultProfileId);
+  }
+
+  /**
+   * Save profiles to storage
+   */
+  save() {
+    StorageManager.saveParameterProfiles(this.profiles);
+  }
+
+  /**
+   * Whether chat settings still match a profile's
+   */
+  static matches(profile, settings) {
+    const picked = this.pickSettings(settings);
+    return PROFILE_FIELDS.every((field) => profile[field] === picked[field]);
+  }
+
+  /**
+   * Pick the settings a profile holds from chat settings
+   */
+  static pickSettings(settings) {
+    return {
+      temperature: settings.temperature,
+      topK: settings.topK,
+      systemPrompt: settings.systemPrompt ?? "",
+      outputLanguage: settings.outputLanguage ?? "",
+    };
+  }
+}
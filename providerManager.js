@@ -0,0 +1,525 @@
+/**
+ * Copyright 2024 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Provider Manager - Puts the models the playground can talk to behind one
+ * interface
+ *
+ * Every provider creates sessions shaped like Chrome's `LanguageModel`
+ * sessions (`promptStreaming()`, `measureInputUsage()`, `inputQuota`,
+ * `inputUsage`, `clone()` and `destroy()`), so the rest of the app doesn't
+ * need to know which one is in use.
+ */
+
+import { ATTACHMENT_TYPES } from "./attachmentManager.js";
+import { StorageManager } from "./storageManager.js";
+
+export const DEFAULT_PROVIDER_ID = "built-in";
+
+// Parameters used by providers that don't report their own
+const DEFAULT_PARAMS = {
+  defaultTopK: 3,
+  maxTopK: 128,
+  defaultTemperature: 1,
+  maxTemperature: 2,
+};
+
+// Context size assumed for providers that don't report one
+const DEFAULT_INPUT_QUOTA = 4096;
+
+// Delay between the words streamed by the mock provider, in milliseconds
+const MOCK_CHUNK_DELAY = 20;
+
+const DEFAULT_OPENAI_SETTINGS = {
+  endpoint: "http://localhost:11434/v1",
+  model: "llama3.2",
+};
+
+/**
+ * Estimate the tokens used by a prompt, message list or content parts
+ */
+function estimateTokens(input) {
+  if (typeof input === "string") {
+    return Math.ceil(input.length / 4);
+  }
+  if (Array.isArray(input)) {
+    return input.reduce(
+      (total, item) => total + estimateTokens(item.content ?? item.value),
+      0,
+    );
+  }
+  return 0;
+}
+
+/**
+ * Get the text of message content, ignoring image and audio parts
+ */
+function getText(content) {
+  if (typeof content === "string") return content;
+  return content
+    .filter((part) => part.type === "text")
+    .map((part) => part.value)
+    .join("\n");
+}
+
+/**
+ * Wait before the next chunk, rejecting if the prompt is aborted
+ */
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timeout);
+      reject(signal.reason);
+    };
+    const timeout = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+/**
+ * Session that keeps the conversation itself, for providers whose models
+ * are stateless
+ * Subclasses implement `generate(messages, options)` as an async generator
+ * of text chunks.
+ */
+class ChatSession extends EventTarget {
+  constructor(provider, options = {}) {
+    super();
+    this.provider = provider;
+    this.temperature = options.temperature ?? DEFAULT_PARAMS.defaultTemperature;
+    this.topK = options.topK ?? DEFAULT_PARAMS.defaultTopK;
+    this.inputQuota = DEFAULT_INPUT_QUOTA;
+    this.messages = (options.initialPrompts || []).map(({ role, content }) => ({
+      role,
+      content,
+    }));
+    this.destroyed = false;
+  }
+
+  get inputUsage() {
+    return estimateTokens(this.messages);
+  }
+
+  async measureInputUsage(input) {
+    return estimateTokens(input);
+  }
+
+  async prompt(input, options = {}) {
+    let result = "";
+    for await (const chunk of this.promptStreaming(input, options)) {
+      result += chunk;
+    }
+    return result;
+  }
+
+  promptStreaming(input, options = {}) {
+    if (this.destroyed) {
+      throw new DOMException(
+        "The session has been destroyed",
+        "InvalidStateError",
+      );
+    }
+
+    const prompts =
+      typeof input === "string" ? [{ role: "user", content: input }] : input;
+    const session = this;
+
+    return (async function* () {
+      let response = "";
+      for await (const chunk of session.generate(
+        [...session.messages, ...prompts],
+        options,
+      )) {
+        response += chunk;
+        yield chunk;
+      }
+
+      // Only complete exchanges join the conversation
+      session.messages.push(...prompts, {
+        role: "assistant",
+        content: response,
+      });
+      session.evictOverflow();
+    })();
+  }
+
+  /**
+   * Drop the oldest turns once the conversation outgrows the quota, keeping
+   * the system prompt, like built-in sessions do
+   */
+  evictOverflow() {
+    if (this.inputUsage <= this.inputQuota) return;
+
+    const firstTurn = this.messages[0]?.role === "system" ? 1 : 0;
+    while (
+      this.inputUsage > this.inputQuota &&
+      this.messages.length > firstTurn + 1
+    ) {
+      this.messages.splice(firstTurn, 1);
+    }
+    this.dispatchEvent(new Event("quotaoverflow"));
+  }
+
+  async clone() {
+    return new this.constructor(this.provider, {
+      temperature: this.temperature,
+      topK: this.topK,
+      initialPrompts: structuredClone(this.messages),
+    });
+  }
+
+  destroy() {
+    this.destroyed = true;
+  }
+}
+
+/**
+ * Chrome's built-in Gemini Nano model
+ */
+class BuiltInProvider {
+  constructor() {
+    this.id = "built-in";
+    this.name = "Chrome built-in (Gemini Nano)";
+    this.unavailableMessage =
+      "Gemini Nano isn't available in this browser or on this device. Follow the setup instructions, or pick another provider in the settings.";
+  }
+
+  async availability(options) {
+    if (!("LanguageModel" in self)) return "unavailable";
+    return LanguageModel.availability(options);
+  }
+
+  async params() {
+    // `params()` resolves to null while the model isn't available
+    return (
+      ("LanguageModel" in self && (await LanguageModel.params())) ||
+      DEFAULT_PARAMS
+    );
+  }
+
+  async getSupportedInputTypes() {
+    if (!self.LanguageModel?.availability) return [];
+
+    const supported = [];
+    for (const type of ATTACHMENT_TYPES) {
+      try {
+        const availability = await LanguageModel.availability({
+          expectedInputs: [{ type }],
+        });
+        if (availability !== "unavailable") {
+          supported.push(type);
+        }
+      } catch (error) {
+        console.error(`Failed to check ${type} input support:`, error);
+      }
+    }
+    return supported;
+  }
+
+  create(options) {
+    return LanguageModel.create(options);
+  }
+}
+
+/**
+ * Session of the mock provider
+ */
+class MockSession extends ChatSession {
+  async *generate(messages, { signal, responseConstraint } = {}) {
+    const text = responseConstraint
+      ? JSON.stringify(MockProvider.sampleValue(responseConstraint))
+      : this.provider.getResponse(messages);
+
+    for (const chunk of text.match(/\S+\s*/g) || []) {
+      await delay(MOCK_CHUNK_DELAY, signal);
+      yield chunk;
+    }
+  }
+}
+
+/**
+ * Deterministic provider for trying the app and running tests without a
+ * model
+ * Replies with the scripted response for each user turn, falling back to
+ * echoing the prompt.
+ */
+export class MockProvider {
+  constructor(responses = []) {
+    this.id = "mock";
+    this.name = "Mock (scripted responses)";
+    this.unavailableMessage = "The mock provider is always available.";
+    this.responses = responses;
+  }
+
+  async availability() {
+    return "available";
+  }
+
+  async params() {
+    return DEFAULT_PARAMS;
+  }
+
+  async getSupportedInputTypes() {
+    return [...ATTACHMENT_TYPES];
+  }
+
+  async create(options = {}) {
+    return new MockSession(this, options);
+  }
+
+  /**
+   * Get the reply to the last user message of a conversation
+   */
+  getResponse(messages) {
+    const userMessages = messages.filter((message) => message.role === "user");
+    const turn = userMessages.length;
+    if (this.responses[turn - 1] !== undefined) {
+      return this.responses[turn - 1];
+    }
+
+    const content = userMessages[turn - 1]?.content ?? "";
+    const attachments = Array.isArray(content)
+      ? content.filter((part) => part.type !== "text").length
+      : 0;
+    let response = `Mock response ${turn}: you said "${getText(content)}"`;
+    if (attachments > 0) {
+      response += ` with ${attachments} attachment${attachments === 1 ? "" : "s"}`;
+    }
+    return `${response}.`;
+  }
+
+  /**
+   * Build the simplest value that matches a JSON Schema
+   */
+  static sampleValue(schema) {
+    if (!schema || typeof schema !== "object") return null;
+    if ("const" in schema) return schema.const;
+    if (schema.enum) return schema.enum[0];
+
+    const subschema = schema.anyOf?.[0] || schema.oneOf?.[0];
+    if (subschema) return this.sampleValue(subschema);
+
+    const type = Array.isArray(schema.type) ? schema.type[0] : schema.type;
+    switch (type) {
+      case "object":
+        return Object.fromEntries(
+          Object.entries(schema.properties || {}).map(([key, property]) => [
+            key,
+            this.sampleValue(property),
+          ]),
+        );
+      case "array":
+        return Array.from({ length: Math.max(schema.minItems || 0, 1) }, () =>
+          this.sampleValue(schema.items),
+        );
+      case "string":
+        return "x".repeat(Math.max(schema.minLength || 0, 1));
+      case "number":
+      case "integer":
+        return schema.minimum ?? 0;
+      case "boolean":
+        return true;
+      default:
+        return null;
+    }
+  }
+}
+
+/**
+ * Session of the OpenAI-compatible provider
+ */
+class OpenAISession extends ChatSession {
+  async *generate(messages, { signal, responseConstraint } = {}) {
+    const body = {
+      model: this.provider.model,
+      messages: messages.map(({ role, content }) => ({
+        role,
+        content: getText(content),
+      })),
+      temperature: this.temperature,
+      top_k: this.topK,
+      stream: true,
+    };
+    if (responseConstraint) {
+      body.response_format = {
+        type: "json_schema",
+        json_schema: { name: "response", schema: responseConstraint },
+      };
+    }
+
+    const response = await fetch(`${this.provider.endpoint}/chat/completions`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+      signal,
+    });
+    if (!response.ok) {
+      throw new Error(
+        `The server responded with ${response.status}: ${await response.text()}`,
+      );
+    }
+
+    // Responses stream as server-sent events, one JSON chunk per `data:` line
+    const reader = response.body
+      .pipeThrough(new TextDecoderStream())
+      .getReader();
+    let buffer = "";
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) return;
+
+      buffer += value;
+      const lines = buffer.split("\n");
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        if (!line.startsWith("data:")) continue;
+        const data = line.slice(5).trim();
+        if (data === "[DONE]") return;
+
+        if (!data) continue;
+
+        let event;
+        try {
+          event = JSON.parse(data);
+        } catch {
+          throw new Error(
+            `The server sent a response that isn't valid JSON: ${data.slice(0, 200)}`,
+          );
+        }
+        // Servers like llama.cpp and Ollama report errors mid-stream
+        if (event?.error) {
+          const message = event.error.message ?? event.error;
+          throw new Error(
+            `The server reported an error: ${typeof message === "string" ? message : JSON.stringify(message)}`,
+          );
+        }
+
+        const chunk = event?.choices?.[0]?.delta?.content;
+        if (chunk) yield chunk;
+      }
+    }
+  }
+}
+
+/**
+ * Local server with an OpenAI-compatible chat completions API, such as
+ * llama.cpp or Ollama
+ */
+class OpenAIProvider {
+  constructor(settings = {}) {
+    this.id = "openai";
+    this.name = "OpenAI-compatible server";
+    this.endpoint = settings.endpoint || DEFAULT_OPENAI_SETTINGS.endpoint;
+    this.model = settings.model || DEFAULT_OPENAI_SETTINGS.model;
+  }
+
+  get unavailableMessage() {
+    return `No OpenAI-compatible server is responding at ${this.endpoint}. Start one that allows requests from this page, or change the endpoint in the settings.`;
+  }
+
+  async availability() {
+    try {
+      const response = await fetch(`${this.endpoint}/models`, {
+        signal: AbortSignal.timeout(3000),
+      });
+      return response.ok ? "available" : "unavailable";
+    } catch {
+      return "unavailable";
+    }
+  }
+
+  async params() {
+    return DEFAULT_PARAMS;
+  }
+
+  async getSupportedInputTypes() {
+    return [];
+  }
+
+  async create(options = {}) {
+    return new OpenAISession(this, options);
+  }
+}
+
+export class ProviderManager {
+  /**
+   * Set up the providers from the saved settings, or use the given ones
+   * The mock provider replies with the saved `mock.responses`, one per
+   * user turn, echoing the prompt for turns without a string.
+   */
+  constructor(providers = null) {
+    const settings = StorageManager.loadProviderSettings();
+    const responses = settings.mock?.responses;
+    this.providers = providers ?? [
+      new BuiltInProvider(),
+      new MockProvider(
+        Array.isArray(responses)
+          ? responses.map((response) =>
+              typeof response === "string" ? response : undefined,
+            )
+          : [],
+      ),
+      new OpenAIProvider(settings.openai),
+    ];
+  }
+
+  /**
+   * Get a provider by ID, falling back to the built-in model
+   */
+  getProvider(providerId) {
+    return (
+      this.providers.find((provider) => provider.id === providerId) ||
+      this.providers[0]
+    );
+  }
+
+  /**
+   * Get all providers
+   */
+  getAllProviders() {
+    return [...this.providers];
+  }
+
+  /**
+   * Update the endpoint and model of the OpenAI-compatible provider
+   */
+  updateOpenAISettings({ endpoint, model }) {
+    const provider = this.getProvider("openai");
+    // Requests append paths like `/chat/completions` to the endpoint
+    provider.endpoint =
+      endpoint.trim().replace(/\/+$/, "") || DEFAULT_OPENAI_SETTINGS.endpoint;
+    provider.model = model.trim() || DEFAULT_OPENAI_SETTINGS.model;
+    this.save();
+    return provider;
+  }
+
+  /**
+   * Get the session options that ask for responses in a language, if one is
+   * set
+   */
+  static getLanguageOptions(outputLanguage) {
+    return outputLanguage
+      ? { expectedOutputs: [{ type: "text", languages: [outputLanguage] }] }
+      : {};
+  }
+
+  /**
+   * Save provider settings to storage
+   */
+  save() {
+    const openai = this.getProvider("openai");
+    const mock = this.getProvider("mock");
+    StorageManager.saveProviderSettings({
+      openai: { endpoint: openai.endpoint, model: openai.model },
+      mock: { responses: mock.responses ?? [] },
+    });
+  }
+}
@@ -0,0 +1,317 @@
+/**
+ * Copyright 2024 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Schema Validator - Validates structured responses against a JSON Schema
+ *
+ * Supports the keywords commonly used for response constraints: type, enum,
+ * const, properties, required, additionalProperties, items, anyOf, oneOf,
+ * allOf, numeric and length limits, and pattern.
+ */
+
+// Pattern source -> compiled RegExp, or null if it doesn't compile
+const patternCache = new Map();
+
+// Keywords whose values are data rather than subschemas
+const DATA_KEYWORDS = ["enum", "const", "default", "examples"];
+
+// Keywords holding a list
+const ARRAY_KEYWORDS = ["required", "enum", "allOf", "anyOf", "oneOf"];
+
+export class SchemaValidator {
+  /**
+   * Parse a model response and validate it against a schema
+   * Returns `{ valid, errors }`, where each error has a JSON Pointer `path`
+   */
+  static validateJSON(schema, text) {
+    let value;
+    try {
+      value = JSON.parse(text);
+    } catch (error) {
+      return {
+        valid: false,
+        errors: [{ path: "", message: `Not valid JSON: ${error.message}` }],
+      };
+    }
+
+    const errors = this.validate(schema, value);
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * Validate a value against a schema, returning a list of errors
+   */
+  static validate(schema, value, path = "") {
+    if (schema === true || schema === undefined) return [];
+    if (schema === false) {
+      return [{ path, message: "No value is allowed here" }];
+    }
+
+    // Malformed schemas are reported rather than thrown, so the response is
+    // still saved
+    const [malformed] = this.findStructureErrors(schema, "", false);
+    if (malformed) {
+      return [
+        {
+          path,
+          message: `The schema is not valid here: ${malformed.path || "it"} ${malformed.message}`,
+        },
+      ];
+    }
+
+    const errors = [];
+    const error = (message) => errors.push({ path, message });
+
+    if (schema.type !== undefined) {
+      const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+      if (!types.some((type) => this.matchesType(type, value))) {
+        error(`Expected ${types.join(" or ")}, got ${this.typeOf(value)}`);
+        return errors;
+      }
+    }
+
+    if (schema.enum && !schema.enum.some((item) => this.equals(item, value))) {
+      error(
+        `Must be one of ${schema.enum.map((item) => JSON.stringify(item)).join(", ")}`,
+      );
+    }
+    if ("const" in schema && !this.equals(schema.const, value)) {
+      error(`Must be ${JSON.stringify(schema.const)}`);
+    }
+
+    if (typeof value === "number") {
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        error(`Must be at least ${schema.minimum}`);
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        error(`Must be at most ${schema.maximum}`);
+      }
+      if (
+        schema.exclusiveMinimum !== undefined &&
+        value <= schema.exclusiveMinimum
+      ) {
+        error(`Must be greater than ${schema.exclusiveMinimum}`);
+      }
+      if (
+        schema.exclusiveMaximum !== undefined &&
+        value >= schema.exclusiveMaximum
+      ) {
+        error(`Must be less than ${schema.exclusiveMaximum}`);
+      }
+    }
+
+    if (typeof value === "string") {
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        error(`Must be at least ${schema.minLength} characters`);
+      }
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        error(`Must be at most ${schema.maxLength} characters`);
+      }
+      if (schema.pattern) {
+        const pattern = this.compilePattern(schema.pattern);
+        if (!pattern) {
+          error(`The schema's pattern ${schema.pattern} is not valid`);
+        } else if (!pattern.test(value)) {
+          error(`Must match pattern ${schema.pattern}`);
+        }
+      }
+    }
+
+    if (Array.isArray(value)) {
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        error(`Must have at least ${schema.minItems} items`);
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        error(`Must have at most ${schema.maxItems} items`);
+      }
+      if (schema.items !== undefined) {
+        value.forEach((item, index) => {
+          errors.push(...this.validate(schema.items, item, `${path}/${index}`));
+        });
+      }
+    }
+
+    if (this.typeOf(value) === "object") {
+      const properties = schema.properties || {};
+
+      (schema.required || []).forEach((key) => {
+        if (!(key in value)) {
+          errors.push({
+            path: this.pointer(path, key),
+            message: "Required property is missing",
+          });
+        }
+      });
+
+      Object.entries(value).forEach(([key, item]) => {
+        const itemPath = this.pointer(path, key);
+        if (key in properties) {
+          errors.push(...this.validate(properties[key], item, itemPath));
+        } else if (schema.additionalProperties === false) {
+          errors.push({ path: itemPath, message: "Property is not allowed" });
+        } else if (typeof schema.additionalProperties === "object") {
+          errors.push(
+            ...this.validate(schema.additionalProperties, item, itemPath),
+          );
+        }
+      });
+    }
+
+    if (schema.allOf) {
+      schema.allOf.forEach((subschema) => {
+        errors.push(...this.validate(subschema, value, path));
+      });
+    }
+    if (schema.anyOf) {
+      const matches = schema.anyOf.filter(
+        (subschema) => this.validate(subschema, value, path).length === 0,
+      );
+      if (matches.length === 0) {
+        error("Must match at least one of the allowed schemas");
+      }
+    }
+    if (schema.oneOf) {
+      const matches = schema.oneOf.filter(
+        (subschema) => this.validate(subschema, value, path).length === 0,
+      );
+      if (matches.length !== 1) {
+        error("Must match exactly one of the allowed schemas");
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Compile a schema pattern, or return null if it isn't a valid regular
+   * expression
+   * Patterns are tried in Unicode mode first; escapes like `\-` are only
+   * allowed without it.
+   */
+  static compilePattern(source) {
+    if (!patternCache.has(source)) {
+      let pattern = null;
+      for (const flags of ["u", ""]) {
+        try {
+          pattern = new RegExp(source, flags);
+          break;
+        } catch {
+          // Try the next mode
+        }
+      }
+      patternCache.set(source, pattern);
+    }
+    return patternCache.get(source);
+  }
+
+  /**
+   * Find the patterns of a schema that aren't valid regular expressions
+   * Returns a list of `{ path, pattern }`, where path is a JSON Pointer into
+   * the schema.
+   */
+  static findInvalidPatterns(schema, path = "") {
+    if (schema === null || typeof schema !== "object") return [];
+
+    const invalid = [];
+    if (
+      !Array.isArray(schema) &&
+      typeof schema.pattern === "string" &&
+      !this.compilePattern(schema.pattern)
+    ) {
+      invalid.push({ path: `${path}/pattern`, pattern: schema.pattern });
+    }
+    Object.entries(schema).forEach(([key, item]) => {
+      if (!Array.isArray(schema) && DATA_KEYWORDS.includes(key)) return;
+      invalid.push(...this.findInvalidPatterns(item, this.pointer(path, key)));
+    });
+    return invalid;
+  }
+
+  /**
+   * Find the parts of a schema that aren't shaped like JSON Schema, such
+   * as subschemas that aren't objects or booleans
+   * Returns a list of `{ path, message }`, where path is a JSON Pointer into
+   * the schema. Pass `deep` as false to only check the top level.
+   */
+  static findStructureErrors(schema, path = "", deep = true) {
+    if (typeof schema === "boolean") return [];
+    if (this.typeOf(schema) !== "object") {
+      return [{ path, message: "must be an object or a boolean" }];
+    }
+
+    const errors = [];
+    const check = (subschema, subpath) => {
+      if (deep) {
+        errors.push(...this.findStructureErrors(subschema, subpath));
+      }
+    };
+
+    ARRAY_KEYWORDS.forEach((keyword) => {
+      if (schema[keyword] !== undefined && !Array.isArray(schema[keyword])) {
+        errors.push({
+          path: this.pointer(path, keyword),
+          message: "must be an array",
+        });
+      }
+    });
+    if (
+      schema.properties !== undefined &&
+      this.typeOf(schema.properties) !== "object"
+    ) {
+      errors.push({
+        path: this.pointer(path, "properties"),
+        message: "must be an object",
+      });
+    } else {
+      Object.entries(schema.properties || {}).forEach(([key, subschema]) =>
+        check(subschema, this.pointer(this.pointer(path, "properties"), key)),
+      );
+    }
+
+    ["items", "additionalProperties"].forEach((keyword) => {
+      if (schema[keyword] !== undefined) {
+        check(schema[keyword], this.pointer(path, keyword));
+      }
+    });
+    ["allOf", "anyOf", "oneOf"].forEach((keyword) => {
+      if (Array.isArray(schema[keyword])) {
+        schema[keyword].forEach((subschema, index) =>
+          check(subschema, this.pointer(this.pointer(path, keyword), index)),
+        );
+      }
+    });
+    return errors;
+  }
+
+  /**
+   * Append a key to a JSON Pointer
+   */
+  static pointer(path, key) {
+    return `${path}/${String(key).replace(/~/g, "~0").replace(/\//g, "~1")}`;
+  }
+
+  /**
+   * Check a value against a JSON Schema type name
+   */
+  static matchesType(type, value) {
+    if (type === "integer") return Number.isInteger(value);
+    if (type === "number") return typeof value === "number";
+    return this.typeOf(value) === type;
+  }
+
+  /**
+   * Get the JSON Schema type name of a value
+   */
+  static typeOf(value) {
+    if (value === null) return "null";
+    if (Array.isArray(value)) return "array";
+    return typeof value;
+  }
+
+  /**
+   * Compare two JSON values
+   */
+  static equals(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+}
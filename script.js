@@ -5,15 +5,34 @@
 
 import { marked } from "https://cdn.jsdelivr.net/npm/marked@13.0.3/lib/marked.esm.js";
 import DOMPurify from "https://cdn.jsdelivr.net/npm/dompurify@3.1.6/dist/purify.es.mjs";
-import { ChatManager } from "./chatManager.js";
+import { AttachmentManager } from "./attachmentManager.js";
+import { AvailabilityManager } from "./availabilityManager.js";
+import { BatchManager } from "./batchManager.js";
+import { ChatManager, DEFAULT_SYSTEM_PROMPT } from "./chatManager.js";
+import { CompareManager, MAX_COLUMNS, MIN_COLUMNS } from "./compareManager.js";
+import { ContextManager } from "./contextManager.js";
+import { PresetManager } from "./presetManager.js";
+import { ProfileManager } from "./profileManager.js";
+import { DEFAULT_PROVIDER_ID, ProviderManager } from "./providerManager.js";
+import { SchemaValidator } from "./schemaValidator.js";
+import { ShareManager } from "./shareManager.js";
+import { TemplateManager } from "./templateManager.js";
 import { UIManager } from "./uiManager.js";
 
 const NUMBER_FORMAT_LANGUAGE = "en-US";
-const SYSTEM_PROMPT = "You are a helpful and friendly assistant.";
+const CHAT_LOCKED_MESSAGE =
+  "This chat is generating a response in another tab. Wait for it to finish or stop it there.";
 
 (async () => {
   // Initialize managers
   const chatManager = new ChatManager();
+  const presetManager = new PresetManager();
+  const profileManager = new ProfileManager();
+  const templateManager = new TemplateManager();
+  const availabilityManager = new AvailabilityManager();
+  const providerManager = new ProviderManager();
+  const compareManager = new CompareManager(chatManager);
+  const batchManager = new BatchManager();
   let uiManager = null;
 
   const errorMessage = document.getElementById("error-message");
@@ -29,11 +48,40 @@ const SYSTEM_PROMPT = "You are a helpful and friendly assistant.";
   const tokensLeftInfo = document.getElementById("tokens-left");
   const tokensSoFarInfo = document.getElementById("tokens-so-far");
   const topKInfo = document.getElementById("top-k");
+  const setupInstructions = document.getElementById("setup-instructions");
+  const providerSelect = document.getElementById("provider-select");
+  const openaiEndpointInput = document.getElementById("openai-endpoint");
+  const openaiModelInput = document.getElementById("openai-model");
   const sessionTemperature = document.getElementById("session-temperature");
   const sessionTopK = document.getElementById("session-top-k");
+  const outputLanguageSelect = document.getElementById("output-language");
+  const parameterProfileSelect = document.getElementById("parameter-profile");
+  const defaultProfileSelect = document.getElementById("default-profile");
+  const saveProfileBtn = document.getElementById("save-profile-btn");
+  const updateProfileBtn = document.getElementById("update-profile-btn");
+  const renameProfileBtn = document.getElementById("rename-profile-btn");
+  const deleteProfileBtn = document.getElementById("delete-profile-btn");
+  const systemPromptInput = document.getElementById("system-prompt");
+  const systemPromptPreset = document.getElementById("system-prompt-preset");
+  const savePresetBtn = document.getElementById("save-preset-btn");
+  const renamePresetBtn = document.getElementById("rename-preset-btn");
+  const deletePresetBtn = document.getElementById("delete-preset-btn");
+  const promptTemplateSelect = document.getElementById("prompt-template");
+  const saveTemplateBtn = document.getElementById("save-template-btn");
+  const renameTemplateBtn = document.getElementById("rename-template-btn");
+  const deleteTemplateBtn = document.getElementById("delete-template-btn");
+  const structuredOutputToggle = document.getElementById(
+    "structured-output-toggle",
+  );
+  const responseSchemaInput = document.getElementById("response-schema");
+  const schemaFieldName = document.getElementById("schema-field-name");
+  const schemaFieldType = document.getElementById("schema-field-type");
+  const addSchemaFieldBtn = document.getElementById("add-schema-field-btn");
   const messagesContainer = document.getElementById("messages-container");
   const newChatBtn = document.getElementById("new-chat-btn");
   const exportChatBtn = document.getElementById("export-chat-btn");
+  const importChatBtn = document.getElementById("import-chat-btn");
+  const importFileInput = document.getElementById("import-file-input");
   const chatTitle = document.getElementById("current-chat-title");
   const infoBtn = document.getElementById("info-btn");
   const aboutModal = document.getElementById("about-modal");
@@ -45,9 +93,57 @@ const SYSTEM_PROMPT = "You are a helpful and friendly assistant.";
   const confirmMessage = document.getElementById("confirm-message");
   const confirmOkBtn = document.getElementById("confirm-ok-btn");
   const confirmCancelBtn = document.getElementById("confirm-cancel-btn");
+  const promptDialog = document.getElementById("prompt-dialog");
+  const promptDialogMessage = document.getElementById("prompt-dialog-message");
+  const promptDialogInput = document.getElementById("prompt-dialog-input");
+  const promptDialogOkBtn = document.getElementById("prompt-dialog-ok-btn");
+  const promptDialogCancelBtn = document.getElementById(
+    "prompt-dialog-cancel-btn",
+  );
+  const batchRunnerBtn = document.getElementById("batch-runner-btn");
+  const batchDialog = document.getElementById("batch-dialog");
+  const closeBatchDialogBtn = document.getElementById("close-batch-dialog");
+  const batchLoadBtn = document.getElementById("batch-load-btn");
+  const batchFileInput = document.getElementById("batch-file-input");
+  const batchPreview = document.getElementById("batch-preview");
+  const batchRunBtn = document.getElementById("batch-run-btn");
+  const batchCancelBtn = document.getElementById("batch-cancel-btn");
+  const batchExportCSVBtn = document.getElementById("batch-export-csv-btn");
+  const batchExportJSONLBtn = document.getElementById("batch-export-jsonl-btn");
+  const exportDialog = document.getElementById("export-dialog");
+  const trashRetentionSelect = document.getElementById("trash-retention");
+  const resetDialog = document.getElementById("reset-dialog");
+  const resetCancelBtn = document.getElementById("reset-cancel-btn");
+  const resetBackupBtn = document.getElementById("reset-backup-btn");
+  const resetOkBtn = document.getElementById("reset-ok-btn");
+  const closeExportDialogBtn = document.getElementById("close-export-dialog");
+  const exportActiveBtn = document.getElementById("export-active-btn");
+  const exportAllBtn = document.getElementById("export-all-btn");
 
   let session = null;
+  // Provider of the active chat
+  let provider = null;
+  // Parameters new chats start with when no profile is the default
+  let modelDefaults = { temperature: 1.0, topK: 3 };
   let currentMessageBubble = null;
+  let abortController = null;
+  // Attachment types the model accepts, detected on startup
+  let supportedInputTypes = [];
+  // Attachments waiting to be sent with the next prompt
+  let pendingAttachments = [];
+  // Prompts loaded into the batch runner, as `{ name, rows }`
+  let batchFile = null;
+  // Run shown in the batch runner: the one in progress or the latest one
+  let batchRun = batchManager.lastRun;
+  let batchController = null;
+  let batchError = null;
+  // Chat opened from a share link, shown until it's saved or closed
+  let sharedChat = null;
+  // Templates matching the slash command being typed
+  let templateSuggestions = [];
+  let activeSuggestion = 0;
+  // Template whose variables are being filled in
+  let pendingTemplate = null;
 
   // Custom alert function
   function showAlert(message) {
@@ -90,55 +186,250 @@ const SYSTEM_PROMPT = "You are a helpful and friendly assistant.";
     });
   }
 
-  if (!("LanguageModel" in self)) {
-    // Hide welcome content and show setup instructions
-    // const welcomeContent = document.getElementById("welcome-content");
-    const setupInstructions = document.getElementById("setup-instructions");
-
-    // if (welcomeContent) welcomeContent.style.display = "none";
-    if (setupInstructions) setupInstructions.style.display = "block";
-
-    // Disable chat input and new chat buttons
-    const promptInput = document.getElementById("prompt-input");
-    const newChatBtn = document.getElementById("new-chat-btn");
-    const collapsedNewChatBtn = document.getElementById("collapsed-new-chat-btn");
-    const temperatureInput = document.getElementById("session-temperature");
-    const topKInput = document.getElementById("session-top-k");
+  // Custom prompt function, resolves with the entered text or null
+  function showPrompt(message, defaultValue = "") {
+    return new Promise((resolve) => {
+      promptDialogMessage.textContent = message;
+      promptDialogInput.value = defaultValue;
+      promptDialog.showModal();
+      promptDialogInput.select();
+
+      const finish = (value) => {
+        promptDialog.close();
+        promptDialogOkBtn.removeEventListener("click", handleOk);
+        promptDialogCancelBtn.removeEventListener("click", handleCancel);
+        promptDialogInput.removeEventListener("keydown", handleKeydown);
+        promptDialog.removeEventListener("cancel", handleCancel);
+        resolve(value);
+      };
 
-    if (promptInput) promptInput.disabled = true;
-    if (newChatBtn) newChatBtn.disabled = true;
-    if (collapsedNewChatBtn) collapsedNewChatBtn.disabled = true;
-    if (temperatureInput) temperatureInput.disabled = true;
-    if (topKInput) topKInput.disabled = true;
+      const handleOk = () => finish(promptDialogInput.value);
+      const handleCancel = () => finish(null);
+      const handleKeydown = (e) => {
+        if (e.key === "Enter") {
+          e.preventDefault();
+          handleOk();
+        }
+      };
 
-    return;
+      promptDialogOkBtn.addEventListener("click", handleOk);
+      promptDialogCancelBtn.addEventListener("click", handleCancel);
+      promptDialogInput.addEventListener("keydown", handleKeydown);
+      promptDialog.addEventListener("cancel", handleCancel);
+    });
   }
 
+  // Load saved chats before rendering the history
+  await chatManager.load();
+
   // Initialize UI Manager
   uiManager = new UIManager(chatManager);
 
   // Override UI Manager event handlers
-  uiManager.onNewChat = createNewChat;
-  uiManager.onChatSelect = loadChat;
-  uiManager.onChatDelete = deleteChat;
+  uiManager.onNewChat = () => {
+    closeComparison();
+    createNewChat();
+  };
+  uiManager.onChatSelect = (chatId) => {
+    closeComparison();
+    loadChat(chatId);
+  };
+  uiManager.onSearchResultSelect = (chatId, messageIndex) => {
+    // Keep the session when the result is in the chat already open
+    if (compareManager.isActive() || chatManager.activeChat !== chatId) {
+      closeComparison();
+      loadChat(chatId);
+    }
+    if (messageIndex !== null) {
+      uiManager.highlightMessage(messageIndex);
+    }
+  };
+  uiManager.onChatDelete = (chatId) => deleteChats([chatId]);
+  uiManager.onRestoreChat = (chatId) => restoreChats([chatId]);
+  uiManager.onPurgeChat = async (chatId) => {
+    const confirmed = await showConfirm(
+      "Delete this chat for good? This can't be undone.",
+    );
+    if (!confirmed) return;
+    await chatManager.purgeChats([chatId]);
+    uiManager.renderChatHistory();
+  };
+  uiManager.onEmptyTrash = async () => {
+    const count = chatManager.getTrashedChats().length;
+    const confirmed = await showConfirm(
+      `Delete ${count === 1 ? "the chat" : `all ${count} chats`} in the trash for good? This can't be undone.`,
+    );
+    if (!confirmed) return;
+    await chatManager.emptyTrash();
+    uiManager.renderChatHistory();
+  };
+  uiManager.onSaveSharedChat = saveSharedChat;
+  uiManager.onCloseSharePreview = async () => {
+    const activeId = chatManager.getActiveChat()?.id;
+    closeSharePreview();
+    if (activeId) {
+      loadChat(activeId);
+    } else {
+      await createNewChat();
+    }
+  };
+  uiManager.onTogglePin = async (chatId) => {
+    const chat = chatManager.getChat(chatId);
+    if (!chat) return;
+    await chatManager.setPinned(chatId, !chat.pinned);
+    uiManager.renderChatHistory();
+  };
+  uiManager.onEditTags = async (chatId) => {
+    const chat = chatManager.getChat(chatId);
+    if (!chat) return;
+
+    const value = await showPrompt(
+      "Tags for this chat, separated by commas:",
+      (chat.tags || []).join(", "),
+    );
+    if (value === null) return;
+    await chatManager.setTags(chatId, value.split(","));
+    uiManager.renderChatHistory();
+  };
+  uiManager.onMoveChatToFolder = async (chatId, folderId) => {
+    await chatManager.moveChatToFolder(chatId, folderId);
+    uiManager.renderChatHistory();
+  };
+  uiManager.onCreateFolder = async () => {
+    const name = (await showPrompt("Name the new folder:"))?.trim();
+    if (!name) return;
+    chatManager.createFolder(name);
+    uiManager.renderChatHistory();
+  };
+  uiManager.onRenameFolder = async (folderId) => {
+    const folder = chatManager.getFolder(folderId);
+    if (!folder) return;
+
+    const name = (await showPrompt("Rename folder:", folder.name))?.trim();
+    if (!name) return;
+    chatManager.renameFolder(folderId, name);
+    uiManager.renderChatHistory();
+  };
+  uiManager.onDeleteFolder = async (folderId) => {
+    const folder = chatManager.getFolder(folderId);
+    if (!folder) return;
+
+    const confirmed = await showConfirm(
+      `Delete the folder "${folder.name}"? Its chats will stay in the history.`,
+    );
+    if (!confirmed) return;
+    await chatManager.deleteFolder(folderId);
+    uiManager.renderChatHistory();
+  };
+  uiManager.onBulkTag = async (chatIds) => {
+    const value = await showPrompt(
+      `Tags to add to ${chatIds.length === 1 ? "this chat" : `these ${chatIds.length} chats`}, separated by commas. Start a tag with "-" to remove it instead:`,
+    );
+    if (value === null) return;
+
+    const tags = value
+      .split(",")
+      .map((tag) => tag.trim())
+      .filter(Boolean);
+    await chatManager.updateTags(
+      chatIds,
+      tags.filter((tag) => !tag.startsWith("-")),
+      tags.filter((tag) => tag.startsWith("-")).map((tag) => tag.slice(1)),
+    );
+    uiManager.renderChatHistory();
+  };
+  uiManager.onBulkMove = async (chatIds, folderId) => {
+    await chatManager.moveChatsToFolder(chatIds, folderId);
+    uiManager.renderChatHistory();
+  };
+  uiManager.onBulkExport = (chatIds) => {
+    downloadArchive(chatManager.exportChats(chatIds));
+  };
+  uiManager.onBulkMerge = async (chatIds) => {
+    const chat = await chatManager.mergeChats(chatIds);
+    if (!chat) return;
+
+    closeComparison();
+    uiManager.setSelecting(false);
+    loadChat(chat.id);
+  };
+  uiManager.onBulkDelete = deleteChats;
+  uiManager.onStopGeneration = stopGeneration;
+  uiManager.onBranchFromMessage = branchFromMessage;
+  uiManager.onEditMessage = editMessage;
+  uiManager.onRegenerateMessage = regenerateMessage;
+  uiManager.onSelectMessageVersion = selectMessageVersion;
+  uiManager.onAddAttachments = addAttachments;
+  uiManager.onRemoveAttachment = removeAttachment;
+  uiManager.onDownloadModel = downloadModel;
+  uiManager.onToggleCompare = toggleCompareMode;
+  uiManager.onAddCompareColumn = addCompareColumn;
+  uiManager.onRemoveCompareColumn = removeCompareColumn;
+  uiManager.onCompareColumnChange = updateCompareColumn;
+  uiManager.onInsertTemplate = insertTemplate;
+  uiManager.onSubmitTemplateForm = sendTemplate;
+  uiManager.onCancelTemplateForm = closeTemplateForm;
+  availabilityManager.onStateChange = (state, progress) => {
+    uiManager.renderModelAvailability(
+      state,
+      progress,
+      availabilityManager.isDownloading,
+      provider?.unavailableMessage,
+    );
+  };
+  chatManager.onSaveError = () => {
+    uiManager.showError(
+      "Your chats could not be saved. Browser storage may be full; export or delete old chats to free up space.",
+    );
+  };
+  chatManager.onRemoteChange = (chatIds) => {
+    uiManager.renderChatHistory();
+
+    // Show changes to the open chat, unless a response or another view is
+    // on screen
+    if (
+      !chatIds.includes(chatManager.activeChat) ||
+      abortController ||
+      compareManager.isActive() ||
+      sharedChat
+    ) {
+      return;
+    }
+    if (chatManager.getActiveChat()) {
+      refreshChat();
+    } else {
+      createNewChat();
+    }
+  };
+  chatManager.onRemoteClear = () => {
+    window.location.reload();
+  };
 
   /**
    * Create new chat
    */
-  function createNewChat() {
+  async function createNewChat() {
+    // Stop a response still streaming into the previous chat
+    stopGeneration();
+    closeSharePreview();
+
     // Save current chat if exists
     const currentChat = chatManager.getActiveChat();
 
     // Create new chat
-    const newChat = chatManager.createNewChat({
-      temperature: Number(sessionTemperature.value),
-      topK: Number(sessionTopK.value),
+    const newChat = await chatManager.createNewChat({
+      ...getNewChatSettings(),
+      provider: providerSelect.value,
+      structuredOutput: getStructuredOutputInput(),
     });
+    renderChatSettings(newChat);
 
     // Clear UI
     responseArea.innerHTML = "";
     messagesContainer.classList.remove("has-messages");
     chatTitle.textContent = newChat.title;
+    uiManager.renderContextChart([]);
+    uiManager.renderMetricsAverages([]);
 
     // Update chat history UI
     uiManager.renderChatHistory();
@@ -152,13 +443,58 @@ const SYSTEM_PROMPT = "You are a helpful and friendly assistant.";
     promptInput.focus();
   }
 
+  /**
+   * Get the parameters a new chat starts with: the default profile's, or
+   * the model's defaults
+   */
+  function getNewChatSettings() {
+    const profile = profileManager.getDefaultProfile();
+    if (!profile) {
+      return { ...modelDefaults, systemPrompt: DEFAULT_SYSTEM_PROMPT };
+    }
+    return { ...ProfileManager.pickSettings(profile), profileId: profile.id };
+  }
+
+  /**
+   * Show a chat's parameters, system prompt and profile in the settings
+   * sidebar
+   */
+  function renderChatSettings(chat) {
+    if (chat.settings) {
+      renderParameters(chat.settings.temperature, chat.settings.topK);
+    }
+    outputLanguageSelect.value = chatManager.getOutputLanguage(chat.id);
+    systemPromptInput.value = chatManager.getSystemPrompt(chat.id);
+    syncPresetSelect();
+    syncProfileSelect();
+  }
+
+  /**
+   * Set the temperature and top-K sliders and their value displays
+   */
+  function renderParameters(temperature, topK) {
+    sessionTemperature.value = temperature;
+    sessionTopK.value = topK;
+
+    const tempValue = document.getElementById("temperature-value");
+    const topKValueEl = document.getElementById("topk-value");
+    if (tempValue) tempValue.textContent = Number(temperature).toFixed(1);
+    if (topKValueEl) topKValueEl.textContent = topK;
+  }
+
   /**
    * Load existing chat
+   * A session that already holds the chat's history can be passed to skip
+   * rebuilding it
    */
-  function loadChat(chatId) {
+  function loadChat(chatId, existingSession = null) {
     const chat = chatManager.getChat(chatId);
     if (!chat) return;
 
+    // Stop a response still streaming into the previous chat
+    stopGeneration();
+    closeSharePreview();
+
     // Set as active
     chatManager.setActiveChat(chatId);
 
@@ -167,21 +503,8 @@ const SYSTEM_PROMPT = "You are a helpful and friendly assistant.";
 
     // Clear and load messages
     responseArea.innerHTML = "";
-    chat.messages.forEach((msg) => {
-      const messageDiv = document.createElement("div");
-      messageDiv.classList.add("message", msg.role);
-
-      const bubble = document.createElement("div");
-      bubble.classList.add("message-bubble");
-
-      if (msg.role === "user") {
-        bubble.textContent = msg.content;
-      } else {
-        bubble.innerHTML = DOMPurify.sanitize(marked.parse(msg.content));
-      }
-
-      messageDiv.appendChild(bubble);
-      responseArea.appendChild(messageDiv);
+    chat.messages.forEach((msg, index) => {
+      responseArea.appendChild(createMessageElement(msg, index));
     });
 
     // Show/hide welcome message based on messages
@@ -190,18 +513,30 @@ const SYSTEM_PROMPT = "You are a helpful and friendly assistant.";
     } else {
       messagesContainer.classList.remove("has-messages");
     }
+    uiManager.renderContextChart(chat.messages);
+    uiManager.renderMetricsAverages(chat.messages);
 
     // Recreate session with saved settings
     session?.destroy();
     session = null;
 
-    if (chat.settings) {
-      sessionTemperature.value = chat.settings.temperature;
-      sessionTopK.value = chat.settings.topK;
+    renderChatSettings(chat);
+    uiManager.renderStructuredOutput(chatManager.getStructuredOutput(chatId));
+
+    if (existingSession) {
+      // Supersede any session still being created for another chat
+      sessionRequest++;
+      useSession(existingSession, contextStart);
+      uiManager.markContextWindow(
+        contextStart,
+        chat.messages.length,
+        chat.summary,
+      );
+      updateStats();
+    } else {
+      updateSession();
     }
 
-    updateSession();
-
     // Update chat history UI
     uiManager.renderChatHistory();
 
@@ -210,381 +545,2301 @@ const SYSTEM_PROMPT = "You are a helpful and friendly assistant.";
   }
 
   /**
-   * Delete chat
+   * Reload the active chat, keeping the scroll position
    */
-  async function deleteChat(chatId) {
-    const confirmed = await showConfirm(
-      "Are you sure you want to delete this chat?",
-    );
-    if (!confirmed) {
-      return;
+  function refreshChat() {
+    const scrollTop = messagesContainer.scrollTop;
+    loadChat(chatManager.activeChat);
+    messagesContainer.scrollTop = scrollTop;
+  }
+
+  /**
+   * Create the element for a saved message
+   * Messages shown outside the active chat, like in comparison columns,
+   * have no actions.
+   */
+  function createMessageElement(msg, index, withActions = true) {
+    const messageDiv = document.createElement("div");
+    messageDiv.classList.add("message", msg.role);
+    messageDiv.dataset.messageIndex = index;
+
+    const bubble = document.createElement("div");
+    bubble.classList.add("message-bubble");
+
+    if (msg.role === "user") {
+      bubble.textContent = msg.content;
+    } else if (msg.validation) {
+      uiManager.renderStructuredResponse(bubble, msg.content, msg.validation);
+    } else {
+      bubble.innerHTML = DOMPurify.sanitize(marked.parse(msg.content));
+    }
+
+    messageDiv.appendChild(bubble);
+    uiManager.renderMessageAttachments(messageDiv, msg.attachments);
+    if (msg.truncated) {
+      uiManager.markTruncated(messageDiv);
+    }
+    uiManager.renderMessageUsage(messageDiv, msg.usage);
+    uiManager.renderMessageMetrics(messageDiv, msg.metrics);
+    if (withActions) {
+      uiManager.addMessageActions(messageDiv, msg);
     }
+    return messageDiv;
+  }
+
+  /**
+   * Create the placeholder for a response that is being generated
+   */
+  function createResponsePlaceholder() {
+    const messageDiv = document.createElement("div");
+    messageDiv.classList.add("message", "assistant");
+    const bubble = document.createElement("div");
+    bubble.classList.add("message-bubble");
+    bubble.textContent = "Generating response...";
+    messageDiv.appendChild(bubble);
+    return messageDiv;
+  }
 
-    const wasActive = chatManager.activeChat === chatId;
-    chatManager.deleteChat(chatId);
+  /**
+   * Move chats to the trash, offering to undo it
+   */
+  async function deleteChats(chatIds) {
+    const activeId = chatManager.activeChat;
+    const wasActive = chatIds.includes(activeId);
+    const count = await chatManager.deleteChats(chatIds);
+    if (count === 0) return;
 
     // If we deleted the active chat, create a new one
     if (wasActive) {
-      createNewChat();
+      await createNewChat();
     } else {
       // Just refresh the chat history
       uiManager.renderChatHistory();
     }
+
+    uiManager.showToast(
+      count === 1
+        ? "Chat moved to the trash"
+        : `${count} chats moved to the trash`,
+      {
+        label: "Undo",
+        onClick: () => restoreChats(chatIds, wasActive ? activeId : null),
+      },
+    );
   }
 
   /**
-   * Scroll to bottom of messages
+   * Move chats from the trash back to the history, reopening one of them
+   * if given
    */
-  function scrollToBottom() {
-    messagesContainer.scrollTop = messagesContainer.scrollHeight;
-  }
-
-  const promptModel = async (highlight = false) => {
-    const prompt = promptInput.value.trim();
-    if (!prompt) return;
-
-    // Ensure we have an active chat
-    let activeChat = chatManager.getActiveChat();
-    if (!activeChat) {
-      activeChat = chatManager.createNewChat({
-        temperature: Number(sessionTemperature.value),
-        topK: Number(sessionTopK.value),
-      });
+  async function restoreChats(chatIds, reopenId = null) {
+    await chatManager.restoreChats(chatIds);
+    if (reopenId && chatManager.getChat(reopenId)) {
+      closeComparison();
+      loadChat(reopenId);
+    } else {
       uiManager.renderChatHistory();
     }
+  }
 
-    // Add user message to chat
-    chatManager.addMessage(activeChat.id, "user", prompt);
+  /**
+   * Branch the active chat into a new chat ending at a message
+   */
+  async function branchFromMessage(messageIndex) {
+    const sourceChat = chatManager.getActiveChat();
+    if (!sourceChat) return;
+
+    // The live session holds exactly this history when branching from the
+    // latest complete answer, so it can be cloned instead of rebuilt
+    const lastMessage = sourceChat.messages[sourceChat.messages.length - 1];
+    const canClone =
+      session?.clone &&
+      !abortController &&
+      messageIndex === sourceChat.messages.length - 1 &&
+      lastMessage.role === "assistant" &&
+      !lastMessage.truncated;
+
+    let clonedSession = null;
+    if (canClone) {
+      try {
+        clonedSession = await session.clone();
+      } catch (error) {
+        console.error("Failed to clone session:", error);
+      }
+    }
 
-    // Update chat title in UI if it changed
-    if (chatTitle.textContent !== activeChat.title) {
-      chatTitle.textContent = activeChat.title;
-      uiManager.renderChatHistory();
+    const branch = await chatManager.branchChat(sourceChat.id, messageIndex);
+    if (!branch) {
+      clonedSession?.destroy();
+      return;
     }
 
-    // Render user message
-    const userMessageDiv = document.createElement("div");
-    userMessageDiv.classList.add("message", "user");
-    const userBubble = document.createElement("div");
-    userBubble.classList.add("message-bubble");
-    userBubble.textContent = prompt;
-    userMessageDiv.appendChild(userBubble);
-    responseArea.appendChild(userMessageDiv);
+    loadChat(branch.id, clonedSession);
+  }
 
-    // Hide welcome message on first message
-    messagesContainer.classList.add("has-messages");
+  /**
+   * Edit a user message and generate a new answer for it
+   */
+  async function editMessage(messageIndex) {
+    const chat = chatManager.getActiveChat();
+    const message = chat?.messages[messageIndex];
+    if (message?.role !== "user" || abortController) return;
 
-    // Render assistant response placeholder
-    const assistantMessageDiv = document.createElement("div");
-    assistantMessageDiv.classList.add("message", "assistant");
-    const assistantBubble = document.createElement("div");
-    assistantBubble.classList.add("message-bubble");
-    assistantBubble.textContent = "Generating response...";
-    assistantMessageDiv.appendChild(assistantBubble);
-    responseArea.appendChild(assistantMessageDiv);
-    currentMessageBubble = assistantBubble;
+    const messageDiv = responseArea.querySelector(
+      `.message[data-message-index="${messageIndex}"]`,
+    );
+    const content = (
+      await uiManager.editMessage(messageDiv, message.content)
+    )?.trim();
+    if (!content || content === message.content) return;
+
+    // Edits only change the text, so the new version keeps the attachments
+    const addVersion = () =>
+      chatManager.addMessageVersion(
+        chat.id,
+        messageIndex,
+        content,
+        message.attachments ? { attachments: message.attachments } : {},
+      );
 
-    scrollToBottom();
+    // Later turns keep their answers; only the reply to this prompt changes
+    const reply = chat.messages[messageIndex + 1];
+    if (reply && reply.role !== "assistant") {
+      await addVersion();
+      refreshChat();
+      return;
+    }
 
-    // Clear input
-    promptInput.value = "";
-    promptInput.style.height = "auto";
-    costSpan.textContent = "";
+    // The edit is only kept once its answer starts generating
+    await regenerateResponse(chat, messageIndex + 1, async () => {
+      await addVersion();
+      const bubble = messageDiv.querySelector(".message-bubble");
+      bubble.textContent = content;
+      bubble.hidden = false;
+    });
+  }
 
-    try {
-      if (!session) {
-        await updateSession();
-        updateStats();
-      }
-      const stream = await session.promptStreaming(prompt);
+  /**
+   * Generate a new version of an assistant message
+   */
+  async function regenerateMessage(messageIndex) {
+    const chat = chatManager.getActiveChat();
+    const message = chat?.messages[messageIndex];
+    if (message?.role !== "assistant" || abortController) return;
 
-      let result = "";
-      let previousChunk = "";
-      for await (const chunk of stream) {
-        const newChunk = chunk.startsWith(previousChunk)
-          ? chunk.slice(previousChunk.length)
-          : chunk;
-        result += newChunk;
-        p.innerHTML = DOMPurify.sanitize(marked.parse(result));
-        if (rawResponse) {
-          rawResponse.innerText = result;
-        }
-        previousChunk = chunk;
-        scrollToBottom();
-      }
+    await regenerateResponse(chat, messageIndex);
+  }
+
+  /**
+   * Generate the answer at an index from the history before it, storing it
+   * as a new version when the message already exists
+   * `onStart` is awaited once nothing can keep the answer from generating.
+   */
+  async function regenerateResponse(chat, messageIndex, onStart = null) {
+    const prompt = chat.messages[messageIndex - 1];
+    if (
+      prompt?.role !== "user" ||
+      abortController ||
+      !availabilityManager.isReady()
+    ) {
+      return;
+    }
 
-      // Save assistant response to chat
-      chatManager.addMessage(activeChat.id, "assistant", result);
+    let responseSchema;
+    try {
+      responseSchema = parseResponseSchema(
+        chatManager.getStructuredOutput(chat.id),
+      );
     } catch (error) {
-      p.textContent = `Error: ${error.message}`;
-      p.style.color = "var(--accent-error)";
-    } finally {
-      updateStats();
-      scrollToBottom();
+      uiManager.showError(uiManager.escapeHtml(error.message));
+      return;
     }
-  };
 
-  const updateStats = () => {
-    if (!session) {
+    const controller = new AbortController();
+    abortController = controller;
+    uiManager.setGenerating(true);
+
+    const release = await chatManager.lockChat(chat.id);
+    if (!release) {
+      abortController = null;
+      uiManager.setGenerating(false);
+      uiManager.showError(CHAT_LOCKED_MESSAGE);
       return;
     }
+    await onStart?.();
 
-    // Use UI Manager if available
-    if (uiManager) {
-      uiManager.updateStats(session);
+    const placeholder = createResponsePlaceholder();
+    placeholder.dataset.messageIndex = messageIndex;
+    const existing = responseArea.querySelector(
+      `.message[data-message-index="${messageIndex}"]`,
+    );
+    if (existing) {
+      existing.replaceWith(placeholder);
+    } else {
+      responseArea.appendChild(placeholder);
+      scrollToBottom();
     }
+    const bubble = placeholder.querySelector(".message-bubble");
 
-    // Legacy direct updates for compatibility
-    const numberFormat = new Intl.NumberFormat(NUMBER_FORMAT_LANGUAGE);
-    const decimalNumberFormat = new Intl.NumberFormat(NUMBER_FORMAT_LANGUAGE, {
-      minimumFractionDigits: 1,
-      maximumFractionDigits: 1,
-    });
+    let tempSession = null;
+    let saved = false;
+    try {
+      let createTime;
+      ({ session: tempSession, createTime } = await createSessionFromHistory(
+        chat,
+        chat.messages.slice(0, messageIndex - 1),
+      ));
+      const input = await buildPromptInput(prompt);
+      const { text, truncated, timing } = await streamResponse(
+        tempSession,
+        input,
+        bubble,
+        controller.signal,
+        responseSchema,
+      );
 
-    if (temperatureInfo) {
-      temperatureInfo.textContent = decimalNumberFormat.format(
-        session.temperature,
+      const extra = getResponseFields(text, truncated, responseSchema);
+      await recordUsage(
+        chat,
+        messageIndex - 1,
+        tempSession,
+        input,
+        text,
+        extra,
+      );
+      extra.metrics = getResponseMetrics(
+        timing,
+        createTime,
+        text,
+        extra.usage?.tokens,
       );
+      if (chat.messages[messageIndex]) {
+        await chatManager.addMessageVersion(chat.id, messageIndex, text, extra);
+      } else {
+        await chatManager.addMessage(chat.id, "assistant", text, extra);
+      }
+      saved = true;
+    } catch (error) {
+      bubble.textContent = `Error: ${error.message}`;
+      bubble.style.color = "var(--accent-error)";
+      // Keep the saved answer and its versions, with the error below it
+      if (existing) {
+        placeholder.before(existing);
+        delete placeholder.dataset.messageIndex;
+      }
+    } finally {
+      tempSession?.destroy();
+      release();
+      abortController = null;
+      uiManager.setGenerating(false);
     }
-    if (topKInfo) {
-      topKInfo.textContent = numberFormat.format(session.topK);
+
+    // Re-render with the new version and rebuild the session so later
+    // turns use it
+    if (saved && chatManager.activeChat === chat.id) {
+      refreshChat();
     }
+  }
 
-    // In the new API shape, currently in Chrome Canary, `session.maxTokens` was renamed to
-    // `session.inputQuota` and `session.tokensSoFar` was renamed to `session.inputUsage`.
-    // `session.tokensSoFar` was removed, but the value can be calculated by subtracting
-    // `inputUsage` from `inputQuota`. Both APIs shapes are checked in the code below.
-    const maxTokens = session.inputQuota || session.maxTokens;
-    const tokensLeft =
-      session.tokensSoFar || session.inputQuota - session.inputUsage;
-    const tokensSoFar = session.inputUsage || session.tokensSoFar;
+  /**
+   * Switch a message to its previous or next version
+   */
+  async function selectMessageVersion(messageIndex, step) {
+    const chat = chatManager.getActiveChat();
+    const message = chat?.messages[messageIndex];
+    if (!message?.versions || abortController) return;
 
-    if (maxTokensInfo) {
-      maxTokensInfo.textContent = numberFormat.format(maxTokens);
+    const versionIndex = message.activeVersion + step;
+    if (versionIndex < 0 || versionIndex >= message.versions.length) return;
+
+    await chatManager.selectMessageVersion(chat.id, messageIndex, versionIndex);
+    refreshChat();
+  }
+
+  /**
+   * Turn compare mode on or off
+   * Turning it on reopens the comparison the active chat belongs to, or
+   * starts a new one with the current settings.
+   */
+  function toggleCompareMode() {
+    if (compareManager.isActive()) {
+      closeComparison();
+      refreshChat();
+      return;
     }
-    if (tokensLeftInfo) {
+
+    stopGeneration();
+    const activeChat = chatManager.getActiveChat();
+    if (
+      !activeChat?.comparison ||
+      !compareManager.open(activeChat.comparison.id)
+    ) {
+      compareManager.start({
+        temperature: Number(sessionTemperature.value),
+        topK: Number(sessionTopK.value),
+        systemPrompt: systemPromptInput.value,
+        outputLanguage: outputLanguageSelect.value,
+      });
+    }
+    uiManager.setCompareMode(true);
+    renderComparison();
+    promptInput.focus();
+  }
+
+  /**
+   * Leave compare mode, destroying the comparison's sessions
+   */
+  function closeComparison() {
+    if (!compareManager.isActive()) return;
+
+    stopGeneration();
+    compareManager.reset();
+    uiManager.setCompareMode(false);
+  }
+
+  /**
+   * Render the comparison columns with their saved messages
+   * Returns the element each column's messages go into.
+   */
+  function renderComparison() {
+    const bodies = uiManager.renderCompareColumns(
+      compareManager.columns,
+      MIN_COLUMNS,
+      MAX_COLUMNS,
+    );
+    compareManager.columns.forEach((column, index) => {
+      const chat = chatManager.getChat(column.chatId);
+      chat?.messages.forEach((msg, messageIndex) => {
+        bodies[index].appendChild(
+          createMessageElement(msg, messageIndex, false),
+        );
+      });
+      bodies[index].scrollTop = bodies[index].scrollHeight;
+    });
+    return bodies;
+  }
+
+  function addCompareColumn() {
+    if (abortController) return;
+    if (compareManager.addColumn()) {
+      renderComparison();
+    }
+  }
+
+  async function removeCompareColumn(columnIndex) {
+    if (abortController) return;
+    if (await compareManager.removeColumn(columnIndex)) {
+      renderComparison();
+      uiManager.renderChatHistory();
+    }
+  }
+
+  async function updateCompareColumn(columnIndex, settings) {
+    // Changing settings recreates the session, so wait for the responses
+    if (abortController) {
+      renderComparison();
+      return;
+    }
+    await compareManager.updateColumn(columnIndex, settings);
+  }
+
+  /**
+   * Add files to the attachments of the next prompt
+   */
+  async function addAttachments(files) {
+    const failures = [];
+
+    for (const file of files) {
+      const type = AttachmentManager.getType(file.type);
+      if (type && !supportedInputTypes.includes(type)) {
+        failures.push(`${file.name}: this model doesn't accept ${type} input`);
+        continue;
+      }
+
+      try {
+        pendingAttachments.push(await AttachmentManager.createAttachment(file));
+      } catch (error) {
+        failures.push(error.message);
+      }
+    }
+
+    uiManager.renderAttachmentTray(pendingAttachments);
+    if (failures.length > 0) {
+      uiManager.showError(
+        failures.map((failure) => uiManager.escapeHtml(failure)).join("<br>"),
+      );
+    }
+    promptInput.focus();
+  }
+
+  /**
+   * Remove an attachment from the next prompt
+   */
+  function removeAttachment(attachmentId) {
+    pendingAttachments = pendingAttachments.filter(
+      (attachment) => attachment.id !== attachmentId,
+    );
+    uiManager.renderAttachmentTray(pendingAttachments);
+  }
+
+  /**
+   * Build the prompt for a user message, sending its attachments as
+   * multimodal content
+   */
+  const buildPromptInput = async (message) => {
+    const content = await AttachmentManager.toContent(
+      message,
+      supportedInputTypes,
+    );
+    return typeof content === "string" ? content : [{ role: "user", content }];
+  };
+
+  /**
+   * Download the model, then start a session for the active chat
+   */
+  async function downloadModel() {
+    try {
+      await availabilityManager.download(provider, getModelOptions());
+    } catch (error) {
+      uiManager.showError(
+        `The model could not be downloaded: ${uiManager.escapeHtml(error.message)}`,
+      );
+      await availabilityManager.check(provider, getModelOptions());
+      return;
+    }
+
+    await updateSession();
+  }
+
+  /**
+   * Switch to a provider and check whether its model is ready
+   */
+  async function activateProvider(providerId) {
+    provider = providerManager.getProvider(providerId);
+    uiManager.renderProviderSettings(
+      provider.id,
+      providerManager.getProvider("openai"),
+    );
+    setupInstructions.style.display =
+      provider.id === "built-in" && !("LanguageModel" in self)
+        ? "block"
+        : "none";
+
+    const { maxTemperature, maxTopK, defaultTemperature, defaultTopK } =
+      await provider.params();
+    sessionTemperature.max = maxTemperature;
+    sessionTopK.max = maxTopK;
+    modelDefaults = {
+      temperature: defaultTemperature,
+      topK: defaultTopK || 3, // https://crbug.com/441711146
+    };
+
+    // Sessions are created with the attachment types the model accepts
+    supportedInputTypes = await provider.getSupportedInputTypes();
+    uiManager.setAttachmentSupport(supportedInputTypes);
+
+    // Sessions are only created once the model is ready
+    await availabilityManager.check(provider, getModelOptions());
+  }
+
+  /**
+   * Get the options every session needs, also used to check availability
+   */
+  const getModelOptions = () => {
+    if (supportedInputTypes.length === 0) return {};
+    return {
+      expectedInputs: AttachmentManager.getExpectedInputs(supportedInputTypes),
+    };
+  };
+
+  /**
+   * Stop the response currently being generated
+   */
+  function stopGeneration() {
+    abortController?.abort();
+  }
+
+  /**
+   * Scroll to bottom of messages
+   */
+  function scrollToBottom() {
+    messagesContainer.scrollTop = messagesContainer.scrollHeight;
+  }
+
+  /**
+   * Send the prompt to every comparison column at once, streaming the
+   * responses side by side and saving each one to its column's chat
+   */
+  const promptComparison = async () => {
+    const prompt = promptInput.value.trim();
+    if (!prompt || abortController || !availabilityManager.isReady()) {
+      return;
+    }
+
+    const controller = new AbortController();
+    abortController = controller;
+    uiManager.setGenerating(true);
+
+    let releases = [];
+    try {
+      await compareManager.saveColumns(provider.id);
+      releases = await Promise.all(
+        compareManager.columns.map((column) =>
+          chatManager.lockChat(column.chatId),
+        ),
+      );
+      // Keep the prompt in the input until it can be sent
+      if (releases.includes(null)) {
+        throw new Error(CHAT_LOCKED_MESSAGE);
+      }
+      promptInput.value = "";
+      promptInput.style.height = "auto";
+      costSpan.textContent = "";
+
+      const bodies = renderComparison();
+
+      await Promise.all(
+        compareManager.columns.map(async (column, index) => {
+          const placeholder = createResponsePlaceholder();
+          const bubble = placeholder.querySelector(".message-bubble");
+
+          try {
+            // Create the session before the prompt joins the history, so
+            // the restored context doesn't contain it twice
+            const chat = chatManager.getChat(column.chatId);
+            const columnSession = await compareManager.getSession(
+              index,
+              providerManager.getProvider(chatManager.getProviderId(chat.id)),
+            );
+            await chatManager.addMessage(chat.id, "user", prompt);
+            const promptIndex = chat.messages.length - 1;
+            const promptElement = createMessageElement(
+              chat.messages[promptIndex],
+              promptIndex,
+              false,
+            );
+            bodies[index].append(promptElement, placeholder);
+
+            const { text, truncated, timing } = await streamResponse(
+              columnSession,
+              prompt,
+              bubble,
+              controller.signal,
+              null,
+              { rawTarget: null, scroll: false },
+            );
+            const extra = getResponseFields(text, truncated, null);
+            await recordUsage(
+              chat,
+              promptIndex,
+              columnSession,
+              prompt,
+              text,
+              extra,
+            );
+            extra.metrics = getResponseMetrics(
+              timing,
+              column.createTime,
+              text,
+              extra.usage?.tokens,
+            );
+            column.createTime = null;
+            await chatManager.addMessage(chat.id, "assistant", text, extra);
+
+            // Show the saved exchange with its usage and timing
+            promptElement.replaceWith(
+              createMessageElement(
+                chat.messages[promptIndex],
+                promptIndex,
+                false,
+              ),
+            );
+            placeholder.replaceWith(
+              createMessageElement(
+                chat.messages[promptIndex + 1],
+                promptIndex + 1,
+                false,
+              ),
+            );
+          } catch (error) {
+            if (!placeholder.isConnected) {
+              bodies[index].appendChild(placeholder);
+            }
+            bubble.textContent = `Error: ${error.message}`;
+            bubble.style.color = "var(--accent-error)";
+          }
+        }),
+      );
+    } catch (error) {
+      uiManager.showError(uiManager.escapeHtml(error.message));
+    } finally {
+      releases.forEach((release) => release?.());
+      abortController = null;
+      uiManager.setGenerating(false);
+    }
+    uiManager.renderChatHistory();
+  };
+
+  const promptModel = async (highlight = false) => {
+    const prompt = promptInput.value.trim();
+    const attachments = pendingAttachments;
+    if (
+      (!prompt && attachments.length === 0) ||
+      abortController ||
+      !availabilityManager.isReady()
+    ) {
+      return;
+    }
+
+    // Check the response schema before the prompt is added to the chat
+    let responseSchema;
+    try {
+      responseSchema = parseResponseSchema(getStructuredOutputInput());
+    } catch (error) {
+      uiManager.showSchemaError(error.message);
+      uiManager.showError(uiManager.escapeHtml(error.message));
+      return;
+    }
+
+    // Swap the submit button for the stop button while streaming
+    const controller = new AbortController();
+    abortController = controller;
+    uiManager.setGenerating(true);
+
+    // Ensure we have an active chat
+    let activeChat = chatManager.getActiveChat();
+    if (!activeChat) {
+      activeChat = await chatManager.createNewChat({
+        ...getNewChatSettings(),
+        outputLanguage: outputLanguageSelect.value,
+        provider: providerSelect.value,
+        structuredOutput: getStructuredOutputInput(),
+      });
+      renderChatSettings(activeChat);
+      uiManager.renderChatHistory();
+
+      // The live session was made from the sidebar, not the new chat
+      session?.destroy();
+      session = null;
+    }
+
+    // Keep other tabs from streaming into the chat at the same time
+    const release = await chatManager.lockChat(activeChat.id);
+    if (!release) {
+      abortController = null;
+      uiManager.setGenerating(false);
+      uiManager.showError(CHAT_LOCKED_MESSAGE);
+      return;
+    }
+
+    // Start the session before the prompt joins the saved history, so the
+    // rebuilt context doesn't contain it twice
+    const sessionReady = session ? Promise.resolve() : updateSession();
+
+    // Add user message to chat
+    await chatManager.addMessage(
+      activeChat.id,
+      "user",
+      prompt,
+      attachments.length > 0 ? { attachments } : {},
+    );
+    const userMessage = activeChat.messages[activeChat.messages.length - 1];
+
+    // Update chat title in UI if it changed
+    if (chatTitle.textContent !== activeChat.title) {
+      chatTitle.textContent = activeChat.title;
+      uiManager.renderChatHistory();
+    }
+
+    // Render user message
+    const userMessageDiv = document.createElement("div");
+    userMessageDiv.classList.add("message", "user");
+    userMessageDiv.dataset.messageIndex = activeChat.messages.length - 1;
+    const userBubble = document.createElement("div");
+    userBubble.classList.add("message-bubble");
+    userBubble.textContent = prompt;
+    userMessageDiv.appendChild(userBubble);
+    uiManager.renderMessageAttachments(userMessageDiv, attachments);
+    uiManager.addMessageActions(userMessageDiv, userMessage);
+    responseArea.appendChild(userMessageDiv);
+
+    // Hide welcome message on first message
+    messagesContainer.classList.add("has-messages");
+
+    // Render assistant response placeholder
+    const assistantMessageDiv = createResponsePlaceholder();
+    const assistantBubble =
+      assistantMessageDiv.querySelector(".message-bubble");
+    responseArea.appendChild(assistantMessageDiv);
+    currentMessageBubble = assistantBubble;
+
+    scrollToBottom();
+
+    // Clear input
+    promptInput.value = "";
+    promptInput.style.height = "auto";
+    costSpan.textContent = "";
+    pendingAttachments = [];
+    uiManager.renderAttachmentTray(pendingAttachments);
+
+    try {
+      await sessionReady;
+      const input = await buildPromptInput(userMessage);
+
+      // Make room by summarizing older turns when the context is nearly full
+      try {
+        if (
+          contextOverflowed ||
+          (await ContextManager.isNearQuota(session, input))
+        ) {
+          assistantBubble.textContent = "Summarizing earlier messages...";
+          await compactContext(
+            activeChat,
+            activeChat.messages.indexOf(userMessage),
+            controller.signal,
+          );
+        }
+      } catch (error) {
+        if (!controller.signal.aborted) {
+          console.error("Failed to summarize earlier messages:", error);
+        }
+      }
+
+      // Stopping while summarizing leaves nothing to stream
+      const { text, truncated, timing } = controller.signal.aborted
+        ? {
+            text: "",
+            truncated: true,
+            timing: { firstChunkTime: null, totalTime: 0 },
+          }
+        : await streamResponse(
+            session,
+            input,
+            assistantBubble,
+            controller.signal,
+            responseSchema,
+          );
+
+      // Save assistant response to chat, keeping whatever was generated
+      // before the user stopped it
+      const extra = getResponseFields(text, truncated, responseSchema);
+      await recordUsage(
+        activeChat,
+        activeChat.messages.indexOf(userMessage),
+        session,
+        input,
+        text,
+        extra,
+      );
+      extra.metrics = getResponseMetrics(
+        timing,
+        sessionCreateTime,
+        text,
+        extra.usage?.tokens,
+      );
+      // Only the first response waited for the session to be created
+      sessionCreateTime = null;
+      await chatManager.addMessage(activeChat.id, "assistant", text, extra);
+      assistantMessageDiv.dataset.messageIndex = activeChat.messages.length - 1;
+      if (extra.validation) {
+        uiManager.renderStructuredResponse(
+          assistantBubble,
+          text,
+          extra.validation,
+        );
+      }
+      if (truncated) {
+        if (!text) {
+          assistantBubble.textContent = "";
+        }
+        uiManager.markTruncated(assistantMessageDiv);
+      }
+      uiManager.renderMessageUsage(userMessageDiv, userMessage.usage);
+      uiManager.renderMessageUsage(assistantMessageDiv, extra.usage);
+      uiManager.renderMessageMetrics(assistantMessageDiv, extra.metrics);
+      if (chatManager.activeChat === activeChat.id) {
+        uiManager.renderContextChart(activeChat.messages);
+        uiManager.renderMetricsAverages(activeChat.messages);
+      }
+      uiManager.addMessageActions(
+        assistantMessageDiv,
+        activeChat.messages[activeChat.messages.length - 1],
+      );
+    } catch (error) {
+      assistantBubble.textContent = `Error: ${error.message}`;
+      assistantBubble.style.color = "var(--accent-error)";
+    } finally {
+      release();
+      abortController = null;
+      uiManager.setGenerating(false);
+      updateStats();
+      scrollToBottom();
+    }
+  };
+
+  /**
+   * Stream a response into a message bubble, timing the first chunk and the
+   * whole response
+   * Stopping the stream keeps the partial text and flags it as truncated.
+   * With a response schema the output is constrained to matching JSON.
+   * The text is mirrored into `rawTarget` (the raw view by default, or none
+   * with null), and `scroll` keeps the chat scrolled to the newest text.
+   */
+  const streamResponse = async (
+    targetSession,
+    prompt,
+    bubble,
+    signal,
+    responseSchema = null,
+    { rawTarget = rawResponse, scroll = true } = {},
+  ) => {
+    let result = "";
+    const start = performance.now();
+    let firstChunkTime = null;
+    const getTiming = () => ({
+      firstChunkTime,
+      totalTime: performance.now() - start,
+    });
+    try {
+      const options = { signal };
+      if (responseSchema) {
+        options.responseConstraint = responseSchema;
+      }
+      const stream = await targetSession.promptStreaming(prompt, options);
+
+      let previousChunk = "";
+      for await (const chunk of stream) {
+        const newChunk = chunk.startsWith(previousChunk)
+          ? chunk.slice(previousChunk.length)
+          : chunk;
+        result += newChunk;
+        if (firstChunkTime === null && newChunk) {
+          firstChunkTime = performance.now() - start;
+        }
+        if (responseSchema) {
+          // Partial JSON isn't markdown, so show it as-is until it's complete
+          bubble.textContent = result;
+        } else {
+          bubble.innerHTML = DOMPurify.sanitize(marked.parse(result));
+        }
+        if (rawTarget) {
+          rawTarget.innerText = result;
+        }
+        previousChunk = chunk;
+        if (scroll) {
+          scrollToBottom();
+        }
+      }
+    } catch (error) {
+      if (!signal.aborted) {
+        throw error;
+      }
+      return { text: result, truncated: true, timing: getTiming() };
+    }
+    return { text: result, truncated: false, timing: getTiming() };
+  };
+
+  /**
+   * Get the extra fields to store on a generated response
+   */
+  const getResponseFields = (text, truncated, responseSchema) => {
+    const fields = {};
+    if (truncated) {
+      fields.truncated = true;
+    }
+    // A response stopped before any output has nothing to validate
+    if (responseSchema && (text || !truncated)) {
+      fields.validation = SchemaValidator.validateJSON(responseSchema, text);
+    }
+    return fields;
+  };
+
+  /**
+   * Measure a finished exchange, saving the prompt's token count and adding
+   * the answer's usage to the fields it will be saved with
+   */
+  const recordUsage = async (
+    chat,
+    promptIndex,
+    targetSession,
+    input,
+    text,
+    extra,
+  ) => {
+    const usage = await ContextManager.measureExchange(
+      targetSession,
+      input,
+      text,
+    );
+    if (!usage) return;
+
+    await chatManager.updateMessageUsage(chat.id, promptIndex, {
+      tokens: usage.prompt,
+    });
+    extra.usage = {
+      tokens: usage.response,
+      context: usage.context,
+      quota: usage.quota,
+    };
+  };
+
+  /**
+   * Get the timing and throughput of a response
+   * Throughput is measured from the first chunk, so time spent reading the
+   * prompt doesn't lower it.
+   */
+  const getResponseMetrics = (timing, sessionCreateTime, text, tokens) => {
+    const seconds = (timing.totalTime - (timing.firstChunkTime ?? 0)) / 1000;
+    return {
+      sessionCreateTime,
+      firstChunkTime: timing.firstChunkTime,
+      totalTime: timing.totalTime,
+      charsPerSecond: seconds > 0 ? text.length / seconds : null,
+      tokensPerSecond:
+        seconds > 0 && Number.isFinite(tokens) ? tokens / seconds : null,
+    };
+  };
+
+  const updateStats = () => {
+    if (!session) {
+      return;
+    }
+
+    // Use UI Manager if available
+    if (uiManager) {
+      uiManager.updateStats(session);
+    }
+
+    // Legacy direct updates for compatibility
+    const numberFormat = new Intl.NumberFormat(NUMBER_FORMAT_LANGUAGE);
+    const decimalNumberFormat = new Intl.NumberFormat(NUMBER_FORMAT_LANGUAGE, {
+      minimumFractionDigits: 1,
+      maximumFractionDigits: 1,
+    });
+
+    if (temperatureInfo) {
+      temperatureInfo.textContent = decimalNumberFormat.format(
+        session.temperature,
+      );
+    }
+    if (topKInfo) {
+      topKInfo.textContent = numberFormat.format(session.topK);
+    }
+
+    // In the new API shape, currently in Chrome Canary, `session.maxTokens` was renamed to
+    // `session.inputQuota` and `session.tokensSoFar` was renamed to `session.inputUsage`.
+    // `session.tokensSoFar` was removed, but the value can be calculated by subtracting
+    // `inputUsage` from `inputQuota`. Both APIs shapes are checked in the code below.
+    const maxTokens = session.inputQuota || session.maxTokens;
+    const tokensLeft =
+      session.tokensSoFar || session.inputQuota - session.inputUsage;
+    const tokensSoFar = session.inputUsage || session.tokensSoFar;
+
+    if (maxTokensInfo) {
+      maxTokensInfo.textContent = numberFormat.format(maxTokens);
+    }
+    if (tokensLeftInfo) {
       tokensLeftInfo.textContent = numberFormat.format(tokensLeft);
     }
-    if (tokensSoFarInfo) {
-      tokensSoFarInfo.textContent = numberFormat.format(tokensSoFar);
+    if (tokensSoFarInfo) {
+      tokensSoFarInfo.textContent = numberFormat.format(tokensSoFar);
+    }
+  };
+
+  form.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    if (compareManager.isActive()) {
+      await promptComparison();
+    } else {
+      await promptModel();
+    }
+  });
+
+  promptInput.addEventListener("keydown", (e) => {
+    if (templateSuggestions.length > 0) {
+      if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+        e.preventDefault();
+        const step = e.key === "ArrowDown" ? 1 : -1;
+        activeSuggestion =
+          (activeSuggestion + step + templateSuggestions.length) %
+          templateSuggestions.length;
+        renderTemplateSuggestions();
+        return;
+      }
+      if ((e.key === "Enter" && !e.shiftKey) || e.key === "Tab") {
+        e.preventDefault();
+        insertTemplate(templateSuggestions[activeSuggestion].id);
+        return;
+      }
+      if (e.key === "Escape") {
+        e.preventDefault();
+        hideTemplateSuggestions();
+        return;
+      }
+    }
+
+    if (e.key === "Enter" && !e.shiftKey) {
+      e.preventDefault();
+      form.dispatchEvent(new Event("submit"));
+    }
+  });
+
+  promptInput.addEventListener("focus", () => {
+    promptInput.select();
+  });
+
+  promptInput.addEventListener("input", updateTemplateSuggestions);
+  promptInput.addEventListener("blur", hideTemplateSuggestions);
+
+  promptInput.addEventListener("input", async () => {
+    const value = promptInput.value.trim();
+    if (!value || !session) {
+      costSpan.textContent = "";
+      return;
+    }
+
+    let cost;
+
+    // The API that returns the token count for a prompt changed between Chrome Stable and Canary
+    // and the method was renamed from `countPromptTokens(input)` to `measureInputUsage(input)`.
+    // The code below ensures both cases are handled.
+    if (session.countPromptTokens) {
+      cost = await session.countPromptTokens(value);
+    } else if (session.measureInputUsage) {
+      cost = await session.measureInputUsage(value);
+    }
+
+    if (!cost) {
+      return;
+    }
+    costSpan.textContent = `${cost} token${cost === 1 ? "" : "s"}`;
+  });
+
+  if (trashRetentionSelect) {
+    trashRetentionSelect.value = String(chatManager.trashRetention ?? "");
+  }
+  trashRetentionSelect?.addEventListener("change", async () => {
+    const { value } = trashRetentionSelect;
+    await chatManager.setTrashRetention(value ? Number(value) : null);
+    uiManager.renderChatHistory();
+  });
+
+  // Offer a backup before clearing everything
+  resetButton.addEventListener("click", () => {
+    resetBackupBtn.disabled =
+      chatManager.getAllChats().length === 0 &&
+      chatManager.getTrashedChats().length === 0;
+    resetDialog.showModal();
+  });
+
+  resetCancelBtn?.addEventListener("click", () => {
+    resetDialog.close();
+  });
+
+  resetBackupBtn?.addEventListener("click", () => {
+    downloadArchive(chatManager.exportBackup());
+  });
+
+  resetOkBtn?.addEventListener("click", async () => {
+    resetDialog.close();
+
+    // Clear chat manager and UI first
+    await chatManager.clearAll();
+    uiManager.renderChatHistory();
+
+    // Clear response area
+    responseArea.innerHTML = "";
+    messagesContainer.classList.remove("has-messages");
+    chatTitle.textContent = "New Chat";
+
+    // Clear anything else left in localStorage
+    localStorage.clear();
+
+    // Destroy current session
+    session?.destroy();
+    session = null;
+
+    // Reload the page to start fresh
+    window.location.reload();
+  });
+
+  exportChatBtn?.addEventListener("click", () => {
+    if (sharedChat) return;
+    exportActiveBtn.disabled = !chatManager.getActiveChat();
+    exportAllBtn.disabled = chatManager.getAllChats().length === 0;
+    exportDialog.showModal();
+  });
+
+  closeExportDialogBtn?.addEventListener("click", () => {
+    exportDialog.close();
+  });
+
+  exportDialog?.addEventListener("click", (e) => {
+    const rect = exportDialog.getBoundingClientRect();
+    if (
+      e.clientX < rect.left ||
+      e.clientX > rect.right ||
+      e.clientY < rect.top ||
+      e.clientY > rect.bottom
+    ) {
+      exportDialog.close();
+    }
+  });
+
+  exportActiveBtn?.addEventListener("click", () => {
+    const activeChat = chatManager.getActiveChat();
+    if (!activeChat) return;
+
+    const format = exportDialog.querySelector(
+      'input[name="export-format"]:checked',
+    ).value;
+    const { id, title } = activeChat;
+    if (format === "json") {
+      downloadFile(
+        chatManager.exportChatAsJSON(id),
+        `${title}.json`,
+        "application/json",
+      );
+    } else if (format === "html") {
+      downloadFile(
+        chatManager.exportChatAsHTML(id, (markdown) =>
+          DOMPurify.sanitize(marked.parse(markdown)),
+        ),
+        `${title}.html`,
+        "text/html",
+      );
+    } else if (format === "text") {
+      downloadFile(
+        chatManager.exportChatAsText(id),
+        `${title}.txt`,
+        "text/plain",
+      );
+    } else if (format === "jsonl") {
+      downloadFile(
+        chatManager.exportChatAsJSONL(id),
+        `${title}.jsonl`,
+        "application/x-ndjson",
+      );
+    } else {
+      downloadFile(
+        chatManager.exportChatAsMarkdown(id),
+        `${title}.md`,
+        "text/markdown",
+      );
+    }
+    exportDialog.close();
+  });
+
+  exportAllBtn?.addEventListener("click", () => {
+    downloadArchive(chatManager.exportAllChats());
+    exportDialog.close();
+  });
+
+  /**
+   * Save text as a file through the browser's downloads
+   */
+  function downloadFile(content, fileName, type) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = fileName;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Save an archive of chats, named after today's date
+   */
+  function downloadArchive(archive) {
+    const date = new Date().toISOString().slice(0, 10);
+    downloadFile(archive, `prompt-api-chats-${date}.json`, "application/json");
+  }
+
+  importChatBtn?.addEventListener("click", () => {
+    importFileInput.click();
+  });
+
+  importFileInput?.addEventListener("change", async () => {
+    const files = [...importFileInput.files];
+    importFileInput.value = "";
+    if (files.length === 0) return;
+
+    const imported = [];
+    const failures = [];
+
+    for (const file of files) {
+      try {
+        const chats = chatManager.parseChatExport(await file.text(), file.name);
+        for (const data of chats) {
+          imported.push(await chatManager.importChat(data));
+        }
+      } catch (error) {
+        failures.push(`${file.name}: ${error.message}`);
+      }
+    }
+
+    if (imported.length > 0) {
+      loadChat(imported[0].id);
+    }
+
+    if (failures.length > 0) {
+      await showAlert(
+        `Imported ${imported.length} chat${imported.length === 1 ? "" : "s"}. Some files could not be imported:\n\n${failures.join("\n")}`,
+      );
+    }
+  });
+
+  // About modal handlers
+  infoBtn?.addEventListener("click", () => {
+    aboutModal.showModal();
+  });
+
+  closeModalBtn?.addEventListener("click", () => {
+    aboutModal.close();
+  });
+
+  // Close dialog when clicking outside (on backdrop)
+  aboutModal?.addEventListener("click", (e) => {
+    const rect = aboutModal.getBoundingClientRect();
+    if (
+      e.clientX < rect.left ||
+      e.clientX > rect.right ||
+      e.clientY < rect.top ||
+      e.clientY > rect.bottom
+    ) {
+      aboutModal.close();
+    }
+  });
+
+  // Batch runner
+  const renderBatchRunner = () => {
+    uiManager.renderBatchRunner({
+      fileName: batchFile?.name,
+      rowCount: batchFile?.rows.length ?? 0,
+      run: batchRun,
+      running: batchController !== null,
+      error: batchError,
+    });
+  };
+
+  /**
+   * Run every loaded prompt, one at a time, with the current settings
+   */
+  const runBatch = async () => {
+    if (!batchFile || batchController) return;
+    if (!availabilityManager.isReady()) {
+      batchError = provider?.unavailableMessage || "The model isn't ready yet";
+      renderBatchRunner();
+      return;
+    }
+
+    const settings = {
+      provider: provider.id,
+      temperature: Number(sessionTemperature.value),
+      topK: Number(sessionTopK.value),
+      systemPrompt: systemPromptInput.value,
+      outputLanguage: outputLanguageSelect.value,
+    };
+    const controller = new AbortController();
+    const run = batchManager.createRun(
+      batchFile.name,
+      batchFile.rows,
+      settings,
+    );
+    const runProvider = provider;
+    batchController = controller;
+    batchRun = run;
+    batchError = null;
+    renderBatchRunner();
+
+    for (const [index, row] of batchFile.rows.entries()) {
+      if (controller.signal.aborted) break;
+      run.results.push(
+        await runBatchRow(runProvider, row, index, settings, controller.signal),
+      );
+      renderBatchRunner();
+    }
+
+    run.cancelled = controller.signal.aborted;
+    run.finishedAt = Date.now();
+    batchManager.saveRun(run);
+    batchController = null;
+    renderBatchRunner();
+  };
+
+  /**
+   * Run one batch prompt in a fresh session, timing it and counting its
+   * tokens
+   * Errors are recorded in the result so the rest of the batch still runs.
+   */
+  const runBatchRow = async (rowProvider, row, index, settings, signal) => {
+    const rowSettings = {
+      systemPrompt: row.systemPrompt ?? settings.systemPrompt,
+      temperature: row.temperature ?? settings.temperature,
+      topK: row.topK ?? settings.topK,
+    };
+    const result = {
+      index,
+      prompt: row.prompt,
+      ...rowSettings,
+      response: "",
+      error: null,
+    };
+
+    let rowSession = null;
+    try {
+      const start = performance.now();
+      rowSession = await rowProvider.create({
+        temperature: rowSettings.temperature,
+        topK: rowSettings.topK,
+        initialPrompts: rowSettings.systemPrompt
+          ? [{ role: "system", content: rowSettings.systemPrompt }]
+          : [],
+        ...ProviderManager.getLanguageOptions(settings.outputLanguage),
+      });
+      const createTime = performance.now() - start;
+
+      batchPreview.textContent = "";
+      const { text, truncated, timing } = await streamResponse(
+        rowSession,
+        row.prompt,
+        batchPreview,
+        signal,
+        null,
+        { rawTarget: null, scroll: false },
+      );
+      const usage = await ContextManager.measureExchange(
+        rowSession,
+        row.prompt,
+        text,
+      );
+      Object.assign(result, {
+        response: text,
+        ...getResponseMetrics(timing, createTime, text, usage?.response),
+        promptTokens: usage?.prompt ?? null,
+        responseTokens: usage?.response ?? null,
+      });
+      if (truncated) {
+        result.truncated = true;
+      }
+    } catch (error) {
+      result.error = error.message;
+    } finally {
+      rowSession?.destroy();
+    }
+    return result;
+  };
+
+  /**
+   * Download the results of the latest batch run
+   */
+  const exportBatch = (format) => {
+    if (!batchRun?.results.length) return;
+
+    const baseName = batchRun.fileName.replace(/\.[^.]+$/, "");
+    if (format === "csv") {
+      downloadFile(
+        BatchManager.exportAsCSV(batchRun),
+        `${baseName}-results.csv`,
+        "text/csv",
+      );
+    } else {
+      downloadFile(
+        BatchManager.exportAsJSONL(batchRun),
+        `${baseName}-results.jsonl`,
+        "application/x-ndjson",
+      );
+    }
+  };
+
+  batchRunnerBtn?.addEventListener("click", () => {
+    renderBatchRunner();
+    batchDialog.showModal();
+  });
+
+  // Closing the dialog doesn't stop a run; reopen it to follow its progress
+  closeBatchDialogBtn?.addEventListener("click", () => {
+    batchDialog.close();
+  });
+
+  batchDialog?.addEventListener("click", (e) => {
+    const rect = batchDialog.getBoundingClientRect();
+    if (
+      e.clientX < rect.left ||
+      e.clientX > rect.right ||
+      e.clientY < rect.top ||
+      e.clientY > rect.bottom
+    ) {
+      batchDialog.close();
+    }
+  });
+
+  batchLoadBtn?.addEventListener("click", () => {
+    batchFileInput.click();
+  });
+
+  batchFileInput?.addEventListener("change", async () => {
+    const [file] = batchFileInput.files;
+    batchFileInput.value = "";
+    if (!file) return;
+
+    try {
+      batchFile = {
+        name: file.name,
+        rows: BatchManager.parseFile(await file.text(), file.name),
+      };
+      batchError = null;
+    } catch (error) {
+      batchFile = null;
+      batchError = `${file.name}: ${error.message}`;
+    }
+    renderBatchRunner();
+  });
+
+  batchRunBtn?.addEventListener("click", runBatch);
+  batchCancelBtn?.addEventListener("click", () => {
+    batchController?.abort();
+  });
+  batchExportCSVBtn?.addEventListener("click", () => exportBatch("csv"));
+  batchExportJSONLBtn?.addEventListener("click", () => exportBatch("jsonl"));
+
+  copyLinkButton.addEventListener("click", async () => {
+    const activeChat = chatManager.getActiveChat();
+    if (!activeChat || sharedChat) return;
+
+    try {
+      const link = await ShareManager.createLink(
+        activeChat,
+        chatManager.getSystemPrompt(activeChat.id),
+      );
+      await navigator.clipboard.writeText(link);
+    } catch (err) {
+      await showAlert("Failed to copy: " + (err.message || err));
+      return;
+    }
+
+    const text = copyLinkButton.textContent;
+    copyLinkButton.textContent = "Copied!";
+    setTimeout(() => {
+      copyLinkButton.textContent = text;
+    }, 2000);
+
+    if (activeChat.messages.some((msg) => msg.attachments?.length > 0)) {
+      await showAlert(
+        "Link copied. Images and audio aren't included in shared links.",
+      );
+    }
+  });
+
+  /**
+   * Show the chat held by the page's share link, if any, as a read-only
+   * preview
+   */
+  async function openSharedChat() {
+    if (!ShareManager.isShareLink(location.hash)) return false;
+
+    let data;
+    try {
+      data = await ShareManager.readLink(location.hash);
+    } catch (error) {
+      clearShareLink();
+      await showAlert(error.message);
+      return false;
+    }
+
+    stopGeneration();
+    closeComparison();
+    sharedChat = data;
+    uiManager.setSharePreview(true);
+
+    chatTitle.textContent =
+      typeof data.title === "string" && data.title.trim()
+        ? data.title
+        : "Shared Chat";
+    responseArea.innerHTML = "";
+    data.messages.forEach((msg, index) => {
+      responseArea.appendChild(createMessageElement(msg, index, false));
+    });
+    messagesContainer.classList.toggle(
+      "has-messages",
+      data.messages.length > 0,
+    );
+    uiManager.renderContextChart([]);
+    uiManager.renderMetricsAverages([]);
+    return true;
+  }
+
+  /**
+   * Import the previewed shared chat and open it
+   */
+  async function saveSharedChat() {
+    if (!sharedChat) return;
+
+    let chat;
+    try {
+      chat = await chatManager.importChat(sharedChat);
+    } catch (error) {
+      await showAlert(`Failed to save the shared chat: ${error.message}`);
+      return;
+    }
+    loadChat(chat.id);
+  }
+
+  /**
+   * Leave the shared chat preview, removing the chat from the URL
+   */
+  function closeSharePreview() {
+    if (!sharedChat) return;
+
+    sharedChat = null;
+    uiManager.setSharePreview(false);
+    clearShareLink();
+  }
+
+  function clearShareLink() {
+    history.replaceState(null, "", location.pathname + location.search);
+  }
+
+  // Opening a share link in a tab that's already running the playground
+  window.addEventListener("hashchange", openSharedChat);
+
+  // Incremented on every session update so stale sessions can be discarded
+  let sessionRequest = 0;
+  // Index of the first saved message in the live session's context
+  let contextStart = 0;
+  // Set when the live session reports that its context overflowed
+  let contextOverflowed = false;
+  // Milliseconds it took to create the live session, if it was timed and
+  // no response has been saved with it yet
+  let sessionCreateTime = null;
+
+  /**
+   * Make a session the live one, watching it for context overflow
+   */
+  const useSession = (newSession, firstIndex, createTime = null) => {
+    if (session !== newSession) {
+      session?.destroy();
+    }
+    session = newSession;
+    contextStart = firstIndex;
+    contextOverflowed = false;
+    sessionCreateTime = createTime;
+
+    // The event was called `contextoverflow` in older versions of the API
+    const handleOverflow = () => {
+      if (session === newSession) {
+        contextOverflowed = true;
+      }
+    };
+    newSession.addEventListener?.("quotaoverflow", handleOverflow);
+    newSession.addEventListener?.("contextoverflow", handleOverflow);
+  };
+
+  /**
+   * Summarize the oldest turns of a chat and restart the session with the
+   * summary in place of them
+   * Only the first `historyLength` messages are part of the new session.
+   * Aborting the signal stops the summary without changing the chat.
+   */
+  const compactContext = async (chat, historyLength, signal) => {
+    const history = chat.messages.slice(0, historyLength);
+    const startIndex = chat.summary?.endIndex ?? 0;
+    const endIndex = ContextManager.findSummaryEnd(history, startIndex);
+    if (endIndex <= startIndex) return;
+
+    const content = await ContextManager.summarize(
+      providerManager.getProvider(chatManager.getProviderId(chat.id)),
+      history.slice(startIndex, endIndex),
+      chat.summary?.content,
+      { signal, outputLanguage: chatManager.getOutputLanguage(chat.id) },
+    );
+    await chatManager.updateSummary(chat.id, { content, endIndex });
+
+    const requestId = ++sessionRequest;
+    const {
+      session: newSession,
+      firstIndex,
+      summary,
+      createTime,
+    } = await createSessionFromHistory(chat, history);
+    if (requestId !== sessionRequest) {
+      newSession.destroy();
+      return;
+    }
+
+    useSession(newSession, firstIndex, createTime);
+    uiManager.markContextWindow(firstIndex, history.length, summary);
+  };
+
+  /**
+   * Create a session for a chat, restoring as much of the given history as
+   * fits in the input quota
+   * Also returns how long creating and restoring the session took.
+   */
+  const createSessionFromHistory = async (chat, history) => {
+    const start = performance.now();
+    const settings = chat?.settings || {};
+    const chatProvider = chat
+      ? providerManager.getProvider(chatManager.getProviderId(chat.id))
+      : provider;
+    const options = {
+      ...getModelOptions(),
+      temperature: settings.temperature ?? Number(sessionTemperature.value),
+      topK: settings.topK ?? Number(sessionTopK.value),
+      ...ProviderManager.getLanguageOptions(
+        chat
+          ? chatManager.getOutputLanguage(chat.id)
+          : outputLanguageSelect.value,
+      ),
+    };
+    const systemPrompt = chat
+      ? chatManager.getSystemPrompt(chat.id)
+      : systemPromptInput.value;
+
+    // A summary stands in for the turns it covers, as long as this history
+    // includes all of them
+    const summary =
+      chat?.summary && chat.summary.endIndex <= history.length
+        ? chat.summary
+        : null;
+    const instructions = ContextManager.withSummary(systemPrompt, summary);
+    const systemPrompts = instructions
+      ? [{ role: "system", content: instructions }]
+      : [];
+
+    let newSession = await chatProvider.create({
+      ...options,
+      initialPrompts: systemPrompts,
+    });
+
+    // Sessions can't be persisted, so restore the conversation from the
+    // saved history, dropping the oldest turns that don't fit the quota
+    const startIndex = summary?.endIndex ?? 0;
+    const contents = await Promise.all(
+      history.slice(startIndex).map(async (message) => ({
+        role: message.role,
+        content: await AttachmentManager.toContent(
+          message,
+          supportedInputTypes,
+        ),
+      })),
+    );
+    const { prompts, firstIndex } = await ContextManager.fitHistory(
+      newSession,
+      contents,
+    );
+    if (prompts.length > 0) {
+      newSession.destroy();
+      newSession = await chatProvider.create({
+        ...options,
+        initialPrompts: [...systemPrompts, ...prompts],
+      });
+    }
+
+    return {
+      session: newSession,
+      firstIndex: startIndex + firstIndex,
+      summary,
+      createTime: performance.now() - start,
+    };
+  };
+
+  const updateSession = async () => {
+    const requestId = ++sessionRequest;
+    const activeChat = chatManager.getActiveChat();
+    const history = [...(activeChat?.messages || [])];
+
+    // Chats remember their provider, so switching chats can switch models
+    const providerId = activeChat
+      ? chatManager.getProviderId(activeChat.id)
+      : providerSelect.value;
+    if (providerId !== provider?.id) {
+      session?.destroy();
+      session = null;
+      await activateProvider(providerId);
+      if (requestId !== sessionRequest) return;
+    }
+
+    // Creating a session before the model is ready would start a download
+    // without any progress to show
+    if (availabilityManager.isReady()) {
+      const {
+        session: newSession,
+        firstIndex,
+        summary,
+        createTime,
+      } = await createSessionFromHistory(activeChat, history);
+
+      // A newer update started while this session was being created
+      if (requestId !== sessionRequest) {
+        newSession.destroy();
+        return;
+      }
+
+      useSession(newSession, firstIndex, createTime);
+      uiManager.markContextWindow(firstIndex, history.length, summary);
+    }
+    updateStats();
+  };
+
+  sessionTemperature.addEventListener("input", async () => {
+    // Update value display
+    const tempValue = document.getElementById("temperature-value");
+    if (tempValue) {
+      tempValue.textContent = parseFloat(sessionTemperature.value).toFixed(1);
+    }
+
+    // Update active chat settings
+    const activeChat = chatManager.getActiveChat();
+    if (activeChat) {
+      activeChat.settings.temperature = Number(sessionTemperature.value);
+      await chatManager.save(activeChat.id);
+    }
+    syncProfileSelect();
+
+    await updateSession();
+  });
+
+  sessionTopK.addEventListener("input", async () => {
+    // Update value display
+    const topKValue = document.getElementById("topk-value");
+    if (topKValue) {
+      topKValue.textContent = sessionTopK.value;
+    }
+
+    // Update active chat settings
+    const activeChat = chatManager.getActiveChat();
+    if (activeChat) {
+      activeChat.settings.topK = Number(sessionTopK.value);
+      await chatManager.save(activeChat.id);
+    }
+    syncProfileSelect();
+
+    await updateSession();
+  });
+
+  /**
+   * Select the preset matching the system prompt editor, if any
+   */
+  function syncPresetSelect() {
+    const preset = presetManager.findPresetByContent(systemPromptInput.value);
+    uiManager.renderPresetOptions(presetManager.getAllPresets(), preset?.id);
+  }
+
+  /**
+   * Store the system prompt on the active chat and start a new session with it
+   */
+  async function applySystemPrompt(systemPrompt) {
+    const activeChat = chatManager.getActiveChat();
+    if (activeChat) {
+      await chatManager.updateSystemPrompt(activeChat.id, systemPrompt);
     }
-  };
+    syncPresetSelect();
+    syncProfileSelect();
 
-  form.addEventListener("submit", async (e) => {
-    e.preventDefault();
-    await promptModel();
+    await updateSession();
+  }
+
+  systemPromptInput.addEventListener("change", async () => {
+    await applySystemPrompt(systemPromptInput.value);
   });
 
-  promptInput.addEventListener("keydown", (e) => {
-    if (e.key === "Enter" && !e.shiftKey) {
-      e.preventDefault();
-      form.dispatchEvent(new Event("submit"));
+  systemPromptPreset.addEventListener("change", async () => {
+    const preset = presetManager.getPreset(systemPromptPreset.value);
+    if (!preset) {
+      syncPresetSelect();
+      return;
     }
+
+    systemPromptInput.value = preset.content;
+    await applySystemPrompt(preset.content);
   });
 
-  promptInput.addEventListener("focus", () => {
-    promptInput.select();
+  savePresetBtn.addEventListener("click", async () => {
+    const name = (await showPrompt("Name this system prompt preset:"))?.trim();
+    if (!name) return;
+
+    presetManager.createPreset(name, systemPromptInput.value);
+    syncPresetSelect();
   });
 
-  promptInput.addEventListener("input", async () => {
-    const value = promptInput.value.trim();
-    if (!value || !session) {
-      costSpan.textContent = "";
-      return;
+  renamePresetBtn.addEventListener("click", async () => {
+    const preset = presetManager.getPreset(systemPromptPreset.value);
+    if (!preset) return;
+
+    const name = (await showPrompt("Rename preset:", preset.name))?.trim();
+    if (!name) return;
+
+    presetManager.renamePreset(preset.id, name);
+    syncPresetSelect();
+  });
+
+  deletePresetBtn.addEventListener("click", async () => {
+    const preset = presetManager.getPreset(systemPromptPreset.value);
+    if (!preset) return;
+
+    const confirmed = await showConfirm(
+      `Are you sure you want to delete the preset "${preset.name}"?`,
+    );
+    if (!confirmed) return;
+
+    presetManager.deletePreset(preset.id);
+    syncPresetSelect();
+  });
+
+  outputLanguageSelect.addEventListener("change", async () => {
+    const activeChat = chatManager.getActiveChat();
+    if (activeChat) {
+      await chatManager.updateSettings(activeChat.id, {
+        outputLanguage: outputLanguageSelect.value,
+      });
     }
+    syncProfileSelect();
 
-    let cost;
+    await updateSession();
+  });
 
-    // The API that returns the token count for a prompt changed between Chrome Stable and Canary
-    // and the method was renamed from `countPromptTokens(input)` to `measureInputUsage(input)`.
-    // The code below ensures both cases are handled.
-    if (session.countPromptTokens) {
-      cost = await session.countPromptTokens(value);
-    } else if (session.measureInputUsage) {
-      cost = await session.measureInputUsage(value);
+  /**
+   * Select the profile the active chat was set from and show its badge
+   */
+  function syncProfileSelect() {
+    const activeChat = chatManager.getActiveChat();
+    const profile = profileManager.getProfile(activeChat?.settings?.profileId);
+    uiManager.renderProfileOptions(
+      profileManager.getAllProfiles(),
+      profile?.id,
+      profileManager.defaultProfileId ?? "",
+    );
+    uiManager.renderProfileBadge(
+      profile,
+      profile && !ProfileManager.matches(profile, getProfileSettings()),
+    );
+  }
+
+  /**
+   * Get the settings a profile would save from the settings sidebar
+   */
+  function getProfileSettings() {
+    return {
+      temperature: Number(sessionTemperature.value),
+      topK: Number(sessionTopK.value),
+      systemPrompt: systemPromptInput.value,
+      outputLanguage: outputLanguageSelect.value,
+    };
+  }
+
+  /**
+   * Remember which profile the active chat was set from
+   */
+  async function setChatProfile(profileId) {
+    const activeChat = chatManager.getActiveChat();
+    if (activeChat) {
+      await chatManager.updateSettings(activeChat.id, { profileId });
     }
+    syncProfileSelect();
+  }
 
-    if (!cost) {
+  parameterProfileSelect.addEventListener("change", async () => {
+    const profile = profileManager.getProfile(parameterProfileSelect.value);
+    if (!profile) {
+      await setChatProfile(null);
       return;
     }
-    costSpan.textContent = `${cost} token${cost === 1 ? "" : "s"}`;
+
+    // Apply the profile to the active chat and start a new session with it
+    const settings = {
+      ...ProfileManager.pickSettings(profile),
+      profileId: profile.id,
+    };
+    const activeChat = chatManager.getActiveChat();
+    if (activeChat) {
+      await chatManager.updateSettings(activeChat.id, settings);
+      renderChatSettings(activeChat);
+    } else {
+      renderParameters(settings.temperature, settings.topK);
+      systemPromptInput.value = settings.systemPrompt;
+      outputLanguageSelect.value = settings.outputLanguage;
+      syncPresetSelect();
+      syncProfileSelect();
+    }
+
+    await updateSession();
   });
 
-  resetButton.addEventListener("click", async () => {
+  defaultProfileSelect.addEventListener("change", () => {
+    profileManager.setDefaultProfile(defaultProfileSelect.value);
+  });
+
+  saveProfileBtn.addEventListener("click", async () => {
+    const name = (await showPrompt("Name this parameter profile:"))?.trim();
+    if (!name) return;
+
+    const profile = profileManager.createProfile(name, getProfileSettings());
+    await setChatProfile(profile.id);
+  });
+
+  updateProfileBtn.addEventListener("click", async () => {
+    const profile = profileManager.getProfile(parameterProfileSelect.value);
+    if (!profile) return;
+
+    profileManager.updateProfile(profile.id, getProfileSettings());
+    syncProfileSelect();
+  });
+
+  renameProfileBtn.addEventListener("click", async () => {
+    const profile = profileManager.getProfile(parameterProfileSelect.value);
+    if (!profile) return;
+
+    const name = (await showPrompt("Rename profile:", profile.name))?.trim();
+    if (!name) return;
+
+    profileManager.renameProfile(profile.id, name);
+    syncProfileSelect();
+  });
+
+  deleteProfileBtn.addEventListener("click", async () => {
+    const profile = profileManager.getProfile(parameterProfileSelect.value);
+    if (!profile) return;
+
     const confirmed = await showConfirm(
-      "Are you sure you want to clear all data? This will delete all chat history and settings.",
+      `Are you sure you want to delete the profile "${profile.name}"?`,
+    );
+    if (!confirmed) return;
+
+    profileManager.deleteProfile(profile.id);
+    syncProfileSelect();
+  });
+
+  /**
+   * Suggest the templates matching a slash command typed at the start of
+   * the prompt input
+   */
+  function updateTemplateSuggestions() {
+    const match = promptInput.value.match(/^\/(\S*)$/);
+    templateSuggestions = match ? templateManager.findTemplates(match[1]) : [];
+    activeSuggestion = 0;
+    renderTemplateSuggestions();
+  }
+
+  function renderTemplateSuggestions() {
+    uiManager.renderTemplateSuggestions(
+      templateSuggestions,
+      activeSuggestion,
+      TemplateManager.toCommand,
     );
-    if (!confirmed) {
+  }
+
+  function hideTemplateSuggestions() {
+    templateSuggestions = [];
+    renderTemplateSuggestions();
+  }
+
+  /**
+   * Insert a template into the prompt input, asking for the values of its
+   * variables first if it has any
+   */
+  function insertTemplate(templateId) {
+    const template = templateManager.getTemplate(templateId);
+    hideTemplateSuggestions();
+    if (!template) return;
+
+    const variables = TemplateManager.getVariables(template.content);
+    if (variables.length === 0) {
+      setPromptInput(template.content);
+      focusPromptEnd();
       return;
     }
 
-    // Clear chat manager and UI first
-    chatManager.chats = [];
-    chatManager.activeChat = null;
-    uiManager.renderChatHistory();
+    pendingTemplate = template;
+    setPromptInput("");
+    uiManager.showTemplateForm(template, variables);
+  }
 
-    // Clear response area
-    responseArea.innerHTML = "";
-    messagesContainer.classList.remove("has-messages");
-    chatTitle.textContent = "New Chat";
+  /**
+   * Fill in the pending template and send it
+   */
+  function sendTemplate(values) {
+    if (!pendingTemplate) return;
 
-    // Clear localStorage
-    localStorage.clear();
+    setPromptInput(TemplateManager.fill(pendingTemplate.content, values));
+    closeTemplateForm();
+    form.dispatchEvent(new Event("submit"));
+  }
 
-    // Destroy current session
-    session?.destroy();
-    session = null;
+  function closeTemplateForm() {
+    pendingTemplate = null;
+    uiManager.hideTemplateForm();
+    promptInput.focus();
+  }
 
-    // Reload the page to start fresh
-    window.location.reload();
+  /**
+   * Replace the text of the prompt input, resizing it and updating its
+   * token count
+   */
+  function setPromptInput(value) {
+    promptInput.value = value;
+    promptInput.dispatchEvent(new Event("input"));
+  }
+
+  /**
+   * Focus the prompt input with the cursor after its text, instead of
+   * selecting it all
+   */
+  function focusPromptEnd() {
+    promptInput.focus();
+    promptInput.setSelectionRange(
+      promptInput.value.length,
+      promptInput.value.length,
+    );
+  }
+
+  /**
+   * Select the template being edited in the prompt input, if any
+   */
+  function syncTemplateSelect(selectedId = promptTemplateSelect.value) {
+    const template = templateManager.getTemplate(selectedId);
+    uiManager.renderTemplateOptions(
+      templateManager.getAllTemplates(),
+      template?.id,
+    );
+  }
+
+  // Load a template into the prompt input to edit it
+  promptTemplateSelect.addEventListener("change", () => {
+    const template = templateManager.getTemplate(promptTemplateSelect.value);
+    syncTemplateSelect();
+    if (!template) return;
+
+    setPromptInput(template.content);
+    focusPromptEnd();
   });
 
-  exportChatBtn?.addEventListener("click", async () => {
-    const activeChat = chatManager.getActiveChat();
-    if (!activeChat) {
-      await showAlert("No active chat to export");
+  saveTemplateBtn.addEventListener("click", async () => {
+    const content = promptInput.value.trim();
+    if (!content) {
+      await showAlert("Write the template in the message box first");
       return;
     }
 
-    const markdown = chatManager.exportChatAsMarkdown(activeChat.id);
-    const blob = new Blob([markdown], { type: "text/markdown" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = `${activeChat.title}.md`;
-    a.click();
-    URL.revokeObjectURL(url);
+    const selected = templateManager.getTemplate(promptTemplateSelect.value);
+    if (selected) {
+      templateManager.updateTemplate(selected.id, content);
+      return;
+    }
+
+    const name = (await showPrompt("Name this prompt template:"))?.trim();
+    if (!name) return;
+
+    const existing = templateManager.getTemplateByName(name);
+    if (existing) {
+      const confirmed = await showConfirm(
+        `Replace the template "${existing.name}"?`,
+      );
+      if (!confirmed) return;
+      templateManager.updateTemplate(existing.id, content);
+      syncTemplateSelect(existing.id);
+      return;
+    }
+
+    const template = templateManager.createTemplate(name, content);
+    syncTemplateSelect(template.id);
   });
 
-  // About modal handlers
-  infoBtn?.addEventListener("click", () => {
-    aboutModal.showModal();
+  renameTemplateBtn.addEventListener("click", async () => {
+    const template = templateManager.getTemplate(promptTemplateSelect.value);
+    if (!template) return;
+
+    const name = (await showPrompt("Rename template:", template.name))?.trim();
+    if (!name) return;
+
+    templateManager.renameTemplate(template.id, name);
+    syncTemplateSelect();
   });
 
-  closeModalBtn?.addEventListener("click", () => {
-    aboutModal.close();
+  deleteTemplateBtn.addEventListener("click", async () => {
+    const template = templateManager.getTemplate(promptTemplateSelect.value);
+    if (!template) return;
+
+    const confirmed = await showConfirm(
+      `Are you sure you want to delete the template "${template.name}"?`,
+    );
+    if (!confirmed) return;
+
+    templateManager.deleteTemplate(template.id);
+    syncTemplateSelect("");
   });
 
-  // Close dialog when clicking outside (on backdrop)
-  aboutModal?.addEventListener("click", (e) => {
-    const rect = aboutModal.getBoundingClientRect();
+  /**
+   * Read the structured output settings from the editor
+   */
+  function getStructuredOutputInput() {
+    return {
+      enabled: structuredOutputToggle.checked,
+      schema: responseSchemaInput.value,
+    };
+  }
+
+  /**
+   * Parse the schema of structured output settings
+   * Returns null when structured output is off and throws if the schema is
+   * invalid
+   */
+  function parseResponseSchema({ enabled, schema }) {
+    if (!enabled) return null;
+
+    let parsed;
+    try {
+      parsed = JSON.parse(schema);
+    } catch (error) {
+      throw new Error(
+        `The response schema is not valid JSON: ${error.message}`,
+      );
+    }
     if (
-      e.clientX < rect.left ||
-      e.clientX > rect.right ||
-      e.clientY < rect.top ||
-      e.clientY > rect.bottom
+      parsed === null ||
+      typeof parsed !== "object" ||
+      Array.isArray(parsed)
     ) {
-      aboutModal.close();
+      throw new Error("The response schema must be a JSON object");
+    }
+    const [malformed] = SchemaValidator.findStructureErrors(parsed);
+    if (malformed) {
+      throw new Error(
+        `The response schema is not valid: ${malformed.path} ${malformed.message}`,
+      );
+    }
+    const [invalid] = SchemaValidator.findInvalidPatterns(parsed);
+    if (invalid) {
+      throw new Error(
+        `The response schema has an invalid pattern at ${invalid.path}: ${invalid.pattern}`,
+      );
+    }
+    return parsed;
+  }
+
+  /**
+   * Store the structured output settings on the active chat
+   * Invalid schemas are kept so they can be fixed, but flagged in the editor
+   */
+  async function applyStructuredOutput() {
+    const structuredOutput = getStructuredOutputInput();
+    try {
+      parseResponseSchema(structuredOutput);
+      uiManager.showSchemaError(null);
+    } catch (error) {
+      uiManager.showSchemaError(error.message);
     }
-  });
 
-  copyLinkButton.addEventListener("click", () => {
     const activeChat = chatManager.getActiveChat();
-    if (!activeChat) return;
+    if (activeChat) {
+      await chatManager.updateStructuredOutput(activeChat.id, structuredOutput);
+    }
+  }
 
-    const markdown = chatManager.exportChatAsMarkdown(activeChat.id);
-    navigator.clipboard
-      .writeText(markdown)
-      .then(() => {
-        const text = copyLinkButton.textContent;
-        copyLinkButton.textContent = "Copied!";
-        setTimeout(() => {
-          copyLinkButton.textContent = text;
-        }, 2000);
-      })
-      .catch(async (err) => {
-        await showAlert("Failed to copy: " + err);
-      });
-  });
+  structuredOutputToggle.addEventListener("change", applyStructuredOutput);
+  responseSchemaInput.addEventListener("change", applyStructuredOutput);
 
-  const updateSession = async () => {
-    if (self.LanguageModel) {
-      const activeChat = chatManager.getActiveChat();
-      const settings = activeChat?.settings || {};
-
-      session = await LanguageModel.create({
-        temperature:
-          Number(sessionTemperature.value) || settings.temperature || 1.0,
-        topK: Number(sessionTopK.value) || settings.topK || 3,
-        initialPrompts: [
-          {
-            role: "system",
-            content: SYSTEM_PROMPT,
-          },
-        ],
-      });
+  addSchemaFieldBtn.addEventListener("click", async () => {
+    const name = schemaFieldName.value.trim();
+    if (!name) {
+      schemaFieldName.focus();
+      return;
     }
-    updateStats();
-  };
 
-  sessionTemperature.addEventListener("input", async () => {
-    // Update value display
-    const tempValue = document.getElementById("temperature-value");
-    if (tempValue) {
-      tempValue.textContent = parseFloat(sessionTemperature.value).toFixed(1);
+    let schema = {};
+    if (responseSchemaInput.value.trim()) {
+      try {
+        schema = JSON.parse(responseSchemaInput.value);
+      } catch {
+        schema = null;
+      }
+    }
+    if (
+      schema === null ||
+      typeof schema !== "object" ||
+      Array.isArray(schema)
+    ) {
+      uiManager.showSchemaError(
+        "Fix the schema's JSON before adding properties",
+      );
+      return;
     }
 
-    // Update active chat settings
-    const activeChat = chatManager.getActiveChat();
-    if (activeChat) {
-      activeChat.settings.temperature = Number(sessionTemperature.value);
-      chatManager.save();
+    const type = schemaFieldType.value;
+    const property = { type };
+    if (type === "array") {
+      property.items = { type: "string" };
+    } else if (type === "object") {
+      property.properties = {};
     }
 
-    await updateSession();
+    schema.type ??= "object";
+    schema.properties = { ...schema.properties, [name]: property };
+    schema.required = [...new Set([...(schema.required || []), name])];
+
+    responseSchemaInput.value = JSON.stringify(schema, null, 2);
+    schemaFieldName.value = "";
+    await applyStructuredOutput();
   });
 
-  sessionTopK.addEventListener("input", async () => {
-    // Update value display
-    const topKValue = document.getElementById("topk-value");
-    if (topKValue) {
-      topKValue.textContent = sessionTopK.value;
-    }
+  providerSelect.addEventListener("change", async () => {
+    // The running response belongs to the previous provider's session
+    stopGeneration();
 
-    // Update active chat settings
     const activeChat = chatManager.getActiveChat();
     if (activeChat) {
-      activeChat.settings.topK = Number(sessionTopK.value);
-      chatManager.save();
+      await chatManager.updateProviderId(activeChat.id, providerSelect.value);
     }
-
     await updateSession();
   });
 
+  /**
+   * Save the OpenAI-compatible server settings and reconnect if it's in use
+   */
+  async function applyOpenAISettings() {
+    providerManager.updateOpenAISettings({
+      endpoint: openaiEndpointInput.value,
+      model: openaiModelInput.value,
+    });
+    if (provider?.id !== "openai") return;
+
+    stopGeneration();
+    session?.destroy();
+    session = null;
+    await activateProvider("openai");
+    await updateSession();
+  }
+
+  openaiEndpointInput.addEventListener("change", applyOpenAISettings);
+  openaiModelInput.addEventListener("change", applyOpenAISettings);
+
   if (!session) {
-    let { defaultTopK, maxTopK, defaultTemperature, maxTemperature } =
-      "LanguageModel" in self
-        ? await LanguageModel.params()
-        : {
-            defaultTopK: 3,
-            maxTopK: 128,
-            defaultTemperature: 1,
-            maxTemperature: 2,
-          };
-    defaultTopK ||= 3; // https://crbug.com/441711146
-    sessionTemperature.value = defaultTemperature;
-    sessionTemperature.max = maxTemperature;
-    sessionTopK.value = defaultTopK;
-    sessionTopK.max = maxTopK;
+    // Start with the provider of the chat that is about to be opened
+    const lastActiveId = chatManager.activeChat || chatManager.chats[0]?.id;
+    await activateProvider(
+      lastActiveId
+        ? chatManager.getProviderId(lastActiveId)
+        : DEFAULT_PROVIDER_ID,
+    );
 
-    // Update value displays
-    const tempValue = document.getElementById("temperature-value");
-    const topKValueEl = document.getElementById("topk-value");
-    if (tempValue) tempValue.textContent = defaultTemperature.toFixed(1);
-    if (topKValueEl) topKValueEl.textContent = defaultTopK;
+    renderParameters(modelDefaults.temperature, modelDefaults.topK);
+    systemPromptInput.value = DEFAULT_SYSTEM_PROMPT;
+    syncPresetSelect();
+    syncProfileSelect();
+    syncTemplateSelect();
 
     // Load last active chat or create first one
-    const lastActiveId = chatManager.activeChat || chatManager.chats[0]?.id;
     if (lastActiveId) {
       loadChat(lastActiveId);
     } else {
       // Create first chat
-      createNewChat();
+      await createNewChat();
     }
-
-    await updateSession();
   }
 
+  await openSharedChat();
+
   // Keyboard shortcuts
   document.addEventListener("keydown", (e) => {
     // Cmd/Ctrl + K: New chat
@@ -0,0 +1,315 @@
+/**
+ * Copyright 2024 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Search Index - Full-text index of chat titles and messages
+ *
+ * Text is split into words and folded to lowercase without accents, so
+ * "Café" matches "cafe". Queries match words by prefix and support
+ * "quoted phrases" and `role:user` or `role:assistant` filters.
+ */
+
+// Results returned by a search, best first
+const MAX_RESULTS = 100;
+
+// Characters of context shown around the first match of a snippet
+const SNIPPET_BEFORE = 40;
+const SNIPPET_LENGTH = 160;
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+export class SearchIndex {
+  constructor() {
+    // Word -> keys of the documents that contain it
+    this.postings = new Map();
+    // Key -> indexed title or message
+    this.documents = new Map();
+    // Chat ID -> keys of its documents
+    this.chatDocuments = new Map();
+    // Chats changed since they were indexed, or true to reindex all of them
+    this.stale = true;
+  }
+
+  /**
+   * Mark a chat, or every chat when no ID is given, for reindexing before
+   * the next search
+   */
+  invalidate(chatId = null) {
+    if (chatId === null || this.stale === true) {
+      this.stale = true;
+    } else {
+      this.stale.add(chatId);
+    }
+  }
+
+  /**
+   * Reindex the chats changed since the last search
+   */
+  refresh(chats) {
+    if (this.stale === true) {
+      this.postings.clear();
+      this.documents.clear();
+      this.chatDocuments.clear();
+      chats.forEach((chat) => this.addChat(chat));
+    } else {
+      this.stale.forEach((chatId) => {
+        this.removeChat(chatId);
+        const chat = chats.find((chat) => chat.id === chatId);
+        if (chat) this.addChat(chat);
+      });
+    }
+    this.stale = new Set();
+  }
+
+  /**
+   * Index a chat's title and messages
+   */
+  addChat(chat) {
+    const keys = [];
+    const add = (messageIndex, role, text) => {
+      const key = `${chat.id}:${messageIndex ?? "title"}`;
+      const { normalized } = SearchIndex.normalize(text);
+      const document = {
+        chatId: chat.id,
+        messageIndex,
+        role,
+        timestamp: chat.timestamp,
+        text,
+        tokens: SearchIndex.tokenize(normalized),
+      };
+      this.documents.set(key, document);
+      document.tokens.forEach(({ token }) => {
+        if (!this.postings.has(token)) {
+          this.postings.set(token, new Set());
+        }
+        this.postings.get(token).add(key);
+      });
+      keys.push(key);
+    };
+
+    add(null, "title", chat.title || "");
+    chat.messages.forEach((message, index) => {
+      add(index, message.role, String(message.content ?? ""));
+    });
+    this.chatDocuments.set(chat.id, keys);
+  }
+
+  /**
+   * Remove a chat from the index
+   */
+  removeChat(chatId) {
+    (this.chatDocuments.get(chatId) || []).forEach((key) => {
+      this.documents.get(key).tokens.forEach(({ token }) => {
+        const keys = this.postings.get(token);
+        keys?.delete(key);
+        if (keys?.size === 0) this.postings.delete(token);
+      });
+      this.documents.delete(key);
+    });
+    this.chatDocuments.delete(chatId);
+  }
+
+  /**
+   * Find the titles and messages matching a query
+   * Each result has the `chatId`, `messageIndex` (null for the title),
+   * `role` and a `snippet` of `{ text, highlights }`, where highlights are
+   * `[start, end]` ranges of the snippet text.
+   */
+  search(query) {
+    const { terms, phrases, roles } = SearchIndex.parseQuery(query);
+    if (terms.length === 0 && phrases.length === 0 && roles.length === 0) {
+      return [];
+    }
+
+    // Narrow down to the documents containing every word before checking
+    // phrases, which need the words next to each other
+    let candidates = null;
+    const intersect = (keys) => {
+      candidates = candidates
+        ? new Set([...candidates].filter((key) => keys.has(key)))
+        : keys;
+    };
+    terms.forEach((term) => intersect(this.findKeys(term, true)));
+    phrases.forEach((phrase) =>
+      phrase.forEach((token, index) =>
+        intersect(this.findKeys(token, index === phrase.length - 1)),
+      ),
+    );
+
+    const results = [];
+    for (const key of candidates ?? this.documents.keys()) {
+      const document = this.documents.get(key);
+      if (roles.length > 0 && !roles.includes(document.role)) continue;
+
+      const ranges = this.matchDocument(document, terms, phrases);
+      if (!ranges) continue;
+      results.push({ document, ranges });
+    }
+
+    return results
+      .sort(
+        (a, b) =>
+          b.ranges.length - a.ranges.length ||
+          b.document.timestamp - a.document.timestamp ||
+          (a.document.messageIndex ?? -1) - (b.document.messageIndex ?? -1),
+      )
+      .slice(0, MAX_RESULTS)
+      .map(({ document, ranges }) => ({
+        chatId: document.chatId,
+        messageIndex: document.messageIndex,
+        role: document.role,
+        snippet: this.createSnippet(document.text, ranges),
+      }));
+  }
+
+  /**
+   * Get the keys of the documents containing a word, or a word starting
+   * with it
+   */
+  findKeys(token, prefix) {
+    if (!prefix) {
+      return this.postings.get(token) || new Set();
+    }
+
+    const keys = new Set();
+    this.postings.forEach((tokenKeys, indexed) => {
+      if (indexed.startsWith(token)) {
+        tokenKeys.forEach((key) => keys.add(key));
+      }
+    });
+    return keys;
+  }
+
+  /**
+   * Find where the query matches a document, as ranges of its normalized
+   * text, or null if a phrase doesn't appear in it
+   */
+  matchDocument(document, terms, phrases) {
+    const { tokens } = document;
+    const ranges = [];
+
+    terms.forEach((term) => {
+      tokens
+        .filter(({ token }) => token.startsWith(term))
+        .forEach(({ start, end }) => ranges.push([start, end]));
+    });
+
+    for (const phrase of phrases) {
+      const last = phrase.length - 1;
+      let found = false;
+      for (let i = 0; i + last < tokens.length; i++) {
+        const matches = phrase.every((token, j) =>
+          j === last
+            ? tokens[i + j].token.startsWith(token)
+            : tokens[i + j].token === token,
+        );
+        if (matches) {
+          ranges.push([tokens[i].start, tokens[i + last].end]);
+          found = true;
+        }
+      }
+      if (!found) return null;
+    }
+    return ranges;
+  }
+
+  /**
+   * Cut the text around the first match, mapping the matches to ranges of
+   * the snippet
+   */
+  createSnippet(text, ranges) {
+    const { offsets } = SearchIndex.normalize(text);
+    const matches = ranges
+      .map(([start, end]) => [offsets[start], offsets[end]])
+      .sort((a, b) => a[0] - b[0]);
+
+    let from = 0;
+    let to = text.length;
+    if (text.length > SNIPPET_LENGTH) {
+      from = Math.max(0, (matches[0]?.[0] ?? 0) - SNIPPET_BEFORE);
+      // Start at a word boundary when there's one nearby
+      const space = text.slice(from, from + 15).search(/\s/);
+      if (from > 0 && space !== -1) from += space + 1;
+      to = Math.min(text.length, from + SNIPPET_LENGTH);
+    }
+
+    const prefix = from > 0 ? "…" : "";
+    const shift = prefix.length - from;
+    const highlights = [];
+    matches.forEach(([start, end]) => {
+      if (end <= from || start >= to) return;
+      const range = [Math.max(start, from) + shift, Math.min(end, to) + shift];
+      const previous = highlights[highlights.length - 1];
+      if (previous && range[0] <= previous[1]) {
+        previous[1] = Math.max(previous[1], range[1]);
+      } else {
+        highlights.push(range);
+      }
+    });
+
+    return {
+      text: `${prefix}${text.slice(from, to)}${to < text.length ? "…" : ""}`,
+      highlights,
+    };
+  }
+
+  /**
+   * Split a query into words, phrases and role filters
+   * Words that contain punctuation, like `e-mail`, are matched as phrases.
+   */
+  static parseQuery(query) {
+    const terms = [];
+    const phrases = [];
+    const roles = [];
+
+    for (const [, quoted, word] of query.matchAll(/"([^"]*)"?|(\S+)/g)) {
+      const role = word?.match(/^role:(.*)$/i);
+      if (role) {
+        roles.push(role[1].toLowerCase());
+        continue;
+      }
+
+      const tokens = this.tokenize(
+        this.normalize(quoted ?? word).normalized,
+      ).map(({ token }) => token);
+      if (tokens.length === 1 && quoted === undefined) {
+        terms.push(tokens[0]);
+      } else if (tokens.length > 0) {
+        phrases.push(tokens);
+      }
+    }
+    return { terms, phrases, roles };
+  }
+
+  /**
+   * Fold text to lowercase without accents
+   * Also returns the index in the original text of every character of the
+   * folded text, plus its length, to map matches back to it.
+   */
+  static normalize(text) {
+    let normalized = "";
+    const offsets = [];
+    let index = 0;
+    for (const char of text) {
+      const folded = char.normalize("NFD").replace(/\p{M}/gu, "").toLowerCase();
+      normalized += folded;
+      for (let i = 0; i < folded.length; i++) {
+        offsets.push(index);
+      }
+      index += char.length;
+    }
+    offsets.push(index);
+    return { normalized, offsets };
+  }
+
+  /**
+   * Split normalized text into words with their positions
+   */
+  static tokenize(normalized) {
+    return [...normalized.matchAll(WORD_PATTERN)].map((match) => ({
+      token: match[0],
+      start: match.index,
+      end: match.index + match[0].length,
+    }));
+  }
+}
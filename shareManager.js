@@ -0,0 +1,146 @@
+/**
+ * Copyright 2024 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Share Manager - Encodes chats into self-contained links and reads them
+ * back
+ *
+ * The chat travels in the URL fragment, which browsers don't send to the
+ * server, compressed with deflate and encoded as base64url. Attachments
+ * are left out to keep links short.
+ */
+
+const SHARE_PARAM = "share";
+const SHARE_VERSION = 1;
+
+// Longest URL Chrome accepts
+const MAX_LINK_LENGTH = 2 * 1024 * 1024;
+
+const MESSAGE_ROLES = ["user", "assistant"];
+
+/**
+ * Encode bytes as base64url without padding
+ */
+function toBase64URL(bytes) {
+  let binary = "";
+  // Convert in chunks to stay under the argument limit of `fromCharCode`
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary)
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+}
+
+/**
+ * Decode base64url, with or without padding, into bytes
+ */
+function fromBase64URL(text) {
+  const binary = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
+
+/**
+ * Run bytes through a compression or decompression stream
+ */
+async function transform(bytes, stream) {
+  const response = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+  return new Uint8Array(await response.arrayBuffer());
+}
+
+export class ShareManager {
+  /**
+   * Create a link to the current page that carries a chat
+   * Throws if the chat is too long to fit in a URL.
+   */
+  static async createLink(chat, systemPrompt, baseURL = location.href) {
+    const json = JSON.stringify(this.toShareData(chat, systemPrompt));
+    const compressed = await transform(
+      new TextEncoder().encode(json),
+      new CompressionStream("deflate-raw"),
+    );
+
+    const url = new URL(baseURL);
+    url.hash = `${SHARE_PARAM}=${toBase64URL(compressed)}`;
+    if (url.href.length > MAX_LINK_LENGTH) {
+      throw new Error(
+        "This chat is too long to share as a link. Export it as a file instead.",
+      );
+    }
+    return url.href;
+  }
+
+  /**
+   * Pick the parts of a chat that are shared
+   */
+  static toShareData(chat, systemPrompt) {
+    const data = {
+      version: SHARE_VERSION,
+      title: chat.title,
+      timestamp: chat.timestamp,
+      messages: chat.messages.map((message) => {
+        const shared = { role: message.role, content: message.content };
+        if (message.truncated) shared.truncated = true;
+        return shared;
+      }),
+      settings: {
+        temperature: chat.settings?.temperature,
+        topK: chat.settings?.topK,
+        systemPrompt,
+        provider: chat.settings?.provider,
+        structuredOutput: chat.settings?.structuredOutput,
+      },
+    };
+    if (chat.summary) {
+      data.summary = chat.summary;
+    }
+    return data;
+  }
+
+  /**
+   * Whether a URL fragment holds a shared chat
+   */
+  static isShareLink(hash) {
+    return hash.startsWith(`#${SHARE_PARAM}=`);
+  }
+
+  /**
+   * Read the chat held by a URL fragment
+   * Throws if the link is damaged or its chat is malformed.
+   */
+  static async readLink(hash) {
+    let data;
+    try {
+      const encoded = hash.slice(SHARE_PARAM.length + 2);
+      const json = new TextDecoder().decode(
+        await transform(
+          fromBase64URL(encoded),
+          new DecompressionStream("deflate-raw"),
+        ),
+      );
+      data = JSON.parse(json);
+    } catch {
+      throw new Error(
+        "This share link is damaged. Ask for a new one, and make sure it was copied completely.",
+      );
+    }
+
+    if (data?.version !== SHARE_VERSION) {
+      throw new Error(
+        "This share link was made by a different version of the playground.",
+      );
+    }
+    if (
+      !Array.isArray(data.messages) ||
+      !data.messages.every(
+        (message) =>
+          MESSAGE_ROLES.includes(message?.role) &&
+          typeof message.content === "string",
+      )
+    ) {
+      throw new Error("This share link doesn't contain a valid chat.");
+    }
+    return data;
+  }
+}
@@ -2,57 +2,205 @@
  * Copyright 2024 Google LLC
  * SPDX-License-Identifier: Apache-2.0
  *
- * Storage Manager - Handles localStorage operations for chat history
+ * Storage Manager - Handles IndexedDB and localStorage operations
  */
 
 const STORAGE_KEYS = {
+  // Chats lived here before moving to IndexedDB; only read for migration
   CHAT_HISTORY: "prompt-api-chat-history",
   UI_STATE: "prompt-api-ui-state",
   ACTIVE_CHAT: "prompt-api-active-chat",
+  CHAT_FOLDERS: "prompt-api-chat-folders",
+  SYSTEM_PROMPT_PRESETS: "prompt-api-system-prompt-presets",
+  PARAMETER_PROFILES: "prompt-api-parameter-profiles",
+  DEFAULT_PROFILE: "prompt-api-default-profile",
+  PROMPT_TEMPLATES: "prompt-api-prompt-templates",
+  PROVIDER_SETTINGS: "prompt-api-provider-settings",
+  BATCH_RUN: "prompt-api-batch-run",
+  TRASH_RETENTION: "prompt-api-trash-retention",
 };
 
-const MAX_CHATS = 50; // Limit to prevent localStorage overflow
+// Days deleted chats are kept in the trash unless set otherwise
+const DEFAULT_TRASH_RETENTION = 30;
+
+const DB_NAME = "prompt-api-playground";
+const DB_VERSION = 1;
+const CHAT_STORE = "chats";
+
+let dbPromise = null;
+
+/**
+ * Wrap an IndexedDB request in a promise
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Resolve when an IndexedDB transaction has been committed
+ */
+function promisifyTransaction(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Put chats in a store, skipping those it holds a more recent copy of,
+ * which another tab saved
+ */
+function putNewer(store, chats) {
+  chats.forEach((chat) => {
+    const request = store.get(chat.id);
+    request.onsuccess = () => {
+      if (!request.result || request.result.timestamp <= chat.timestamp) {
+        store.put(chat);
+      }
+    };
+  });
+}
 
 export class StorageManager {
   /**
-   * Save all chats to localStorage
+   * Open the chat database, migrating localStorage history on first use
+   */
+  static openDatabase() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+          const store = request.result.createObjectStore(CHAT_STORE, {
+            keyPath: "id",
+          });
+          store.createIndex("timestamp", "timestamp");
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      }).then(async (db) => {
+        await this.migrateFromLocalStorage(db);
+        return db;
+      });
+
+      // Allow retrying after a failed open
+      dbPromise.catch(() => {
+        dbPromise = null;
+      });
+    }
+    return dbPromise;
+  }
+
+  /**
+   * Move chats saved by older versions from localStorage to IndexedDB
+   */
+  static async migrateFromLocalStorage(db) {
+    const data = localStorage.getItem(STORAGE_KEYS.CHAT_HISTORY);
+    if (!data) return;
+
+    try {
+      const chats = JSON.parse(data);
+      const transaction = db.transaction(CHAT_STORE, "readwrite");
+      const store = transaction.objectStore(CHAT_STORE);
+      chats.forEach((chat) => store.put(chat));
+      await promisifyTransaction(transaction);
+
+      // Only drop the old copy once every chat is safely stored
+      localStorage.removeItem(STORAGE_KEYS.CHAT_HISTORY);
+    } catch (error) {
+      console.error("Failed to migrate chat history:", error);
+    }
+  }
+
+  /**
+   * Save a single chat
    */
-  static saveChatHistory(chats) {
+  static async saveChat(chat) {
     try {
-      // Limit to MAX_CHATS, keeping most recent
-      const limitedChats = chats
-        .sort((a, b) => b.timestamp - a.timestamp)
-        .slice(0, MAX_CHATS);
+      const db = await this.openDatabase();
+      const transaction = db.transaction(CHAT_STORE, "readwrite");
+      putNewer(transaction.objectStore(CHAT_STORE), [chat]);
+      await promisifyTransaction(transaction);
+      return true;
+    } catch (error) {
+      console.error("Failed to save chat:", error);
+      return false;
+    }
+  }
 
-      localStorage.setItem(
-        STORAGE_KEYS.CHAT_HISTORY,
-        JSON.stringify(limitedChats),
-      );
+  /**
+   * Save all chats
+   */
+  static async saveChatHistory(chats) {
+    try {
+      const db = await this.openDatabase();
+      const transaction = db.transaction(CHAT_STORE, "readwrite");
+      putNewer(transaction.objectStore(CHAT_STORE), chats);
+      await promisifyTransaction(transaction);
       return true;
     } catch (error) {
       console.error("Failed to save chat history:", error);
-      // Handle quota exceeded error
-      if (error.name === "QuotaExceededError") {
-        // Try again with fewer chats
-        this.saveChatHistory(chats.slice(0, Math.floor(MAX_CHATS / 2)));
-      }
       return false;
     }
   }
 
   /**
-   * Load all chats from localStorage
+   * Load all chats, most recent first
    */
-  static loadChatHistory() {
+  static async loadChatHistory() {
     try {
-      const data = localStorage.getItem(STORAGE_KEYS.CHAT_HISTORY);
-      return data ? JSON.parse(data) : [];
+      const db = await this.openDatabase();
+      const transaction = db.transaction(CHAT_STORE, "readonly");
+      const chats = await promisifyRequest(
+        transaction.objectStore(CHAT_STORE).index("timestamp").getAll(),
+      );
+      return chats.reverse();
     } catch (error) {
       console.error("Failed to load chat history:", error);
       return [];
     }
   }
 
+  /**
+   * Load the chats with the given IDs, skipping those that don't exist
+   */
+  static async loadChats(chatIds) {
+    try {
+      const db = await this.openDatabase();
+      const store = db
+        .transaction(CHAT_STORE, "readonly")
+        .objectStore(CHAT_STORE);
+      const chats = await Promise.all(
+        chatIds.map((chatId) => promisifyRequest(store.get(chatId))),
+      );
+      return chats.filter(Boolean);
+    } catch (error) {
+      console.error("Failed to load chats:", error);
+      return [];
+    }
+  }
+
+  /**
+   * Delete a single chat
+   */
+  static async deleteChat(chatId) {
+    try {
+      const db = await this.openDatabase();
+      const transaction = db.transaction(CHAT_STORE, "readwrite");
+      transaction.objectStore(CHAT_STORE).delete(chatId);
+      await promisifyTransaction(transaction);
+      return true;
+    } catch (error) {
+      console.error("Failed to delete chat:", error);
+      return false;
+    }
+  }
+
   /**
    * Save UI state (sidebar collapsed states, etc.)
    */
@@ -108,14 +256,244 @@ export class StorageManager {
     }
   }
 
+  /**
+   * Save the folders chats are organized in
+   */
+  static saveChatFolders(folders) {
+    try {
+      localStorage.setItem(STORAGE_KEYS.CHAT_FOLDERS, JSON.stringify(folders));
+      return true;
+    } catch (error) {
+      console.error("Failed to save chat folders:", error);
+      return false;
+    }
+  }
+
+  /**
+   * Load chat folders
+   */
+  static loadChatFolders() {
+    try {
+      const data = localStorage.getItem(STORAGE_KEYS.CHAT_FOLDERS);
+      return data ? JSON.parse(data) : [];
+    } catch (error) {
+      console.error("Failed to load chat folders:", error);
+      return [];
+    }
+  }
+
+  /**
+   * Save system prompt presets
+   */
+  static saveSystemPromptPresets(presets) {
+    try {
+      localStorage.setItem(
+        STORAGE_KEYS.SYSTEM_PROMPT_PRESETS,
+        JSON.stringify(presets),
+      );
+      return true;
+    } catch (error) {
+      console.error("Failed to save system prompt presets:", error);
+      return false;
+    }
+  }
+
+  /**
+   * Load system prompt presets
+   */
+  static loadSystemPromptPresets() {
+    try {
+      const data = localStorage.getItem(STORAGE_KEYS.SYSTEM_PROMPT_PRESETS);
+      return data ? JSON.parse(data) : [];
+    } catch (error) {
+      console.error("Failed to load system prompt presets:", error);
+      return [];
+    }
+  }
+
+  /**
+   * Save parameter profiles
+   */
+  static saveParameterProfiles(profiles) {
+    try {
+      localStorage.setItem(
+        STORAGE_KEYS.PARAMETER_PROFILES,
+        JSON.stringify(profiles),
+      );
+      return true;
+    } catch (error) {
+      console.error("Failed to save parameter profiles:", error);
+      return false;
+    }
+  }
+
+  /**
+   * Load parameter profiles
+   */
+  static loadParameterProfiles() {
+    try {
+      const data = localStorage.getItem(STORAGE_KEYS.PARAMETER_PROFILES);
+      return data ? JSON.parse(data) : [];
+    } catch (error) {
+      console.error("Failed to load parameter profiles:", error);
+      return [];
+    }
+  }
+
+  /**
+   * Save the ID of the profile new chats start with, or null to start them
+   * with the model's defaults
+   */
+  static saveDefaultProfile(profileId) {
+    try {
+      if (profileId) {
+        localStorage.setItem(STORAGE_KEYS.DEFAULT_PROFILE, profileId);
+      } else {
+        localStorage.removeItem(STORAGE_KEYS.DEFAULT_PROFILE);
+      }
+      return true;
+    } catch (error) {
+      console.error("Failed to save default profile:", error);
+      return false;
+    }
+  }
+
+  /**
+   * Load the ID of the profile new chats start with
+   */
+  static loadDefaultProfile() {
+    try {
+      return localStorage.getItem(STORAGE_KEYS.DEFAULT_PROFILE);
+    } catch (error) {
+      console.error("Failed to load default profile:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Save prompt templates
+   */
+  static savePromptTemplates(templates) {
+    try {
+      localStorage.setItem(
+        STORAGE_KEYS.PROMPT_TEMPLATES,
+        JSON.stringify(templates),
+      );
+      return true;
+    } catch (error) {
+      console.error("Failed to save prompt templates:", error);
+      return false;
+    }
+  }
+
+  /**
+   * Load prompt templates
+   */
+  static loadPromptTemplates() {
+    try {
+      const data = localStorage.getItem(STORAGE_KEYS.PROMPT_TEMPLATES);
+      return data ? JSON.parse(data) : [];
+    } catch (error) {
+      console.error("Failed to load prompt templates:", error);
+      return [];
+    }
+  }
+
+  /**
+   * Save model provider settings
+   */
+  static saveProviderSettings(settings) {
+    try {
+      localStorage.setItem(
+        STORAGE_KEYS.PROVIDER_SETTINGS,
+        JSON.stringify(settings),
+      );
+      return true;
+    } catch (error) {
+      console.error("Failed to save provider settings:", error);
+      return false;
+    }
+  }
+
+  /**
+   * Load model provider settings
+   */
+  static loadProviderSettings() {
+    try {
+      const data = localStorage.getItem(STORAGE_KEYS.PROVIDER_SETTINGS);
+      return data ? JSON.parse(data) : {};
+    } catch (error) {
+      console.error("Failed to load provider settings:", error);
+      return {};
+    }
+  }
+
+  /**
+   * Save the results of the latest batch run
+   */
+  static saveBatchRun(run) {
+    try {
+      localStorage.setItem(STORAGE_KEYS.BATCH_RUN, JSON.stringify(run));
+      return true;
+    } catch (error) {
+      console.error("Failed to save batch run:", error);
+      return false;
+    }
+  }
+
+  /**
+   * Load the results of the latest batch run
+   */
+  static loadBatchRun() {
+    try {
+      const data = localStorage.getItem(STORAGE_KEYS.BATCH_RUN);
+      return data ? JSON.parse(data) : null;
+    } catch (error) {
+      console.error("Failed to load batch run:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Save how many days deleted chats are kept, or null to keep them until
+   * the trash is emptied
+   */
+  static saveTrashRetention(days) {
+    try {
+      localStorage.setItem(STORAGE_KEYS.TRASH_RETENTION, JSON.stringify(days));
+      return true;
+    } catch (error) {
+      console.error("Failed to save trash retention:", error);
+      return false;
+    }
+  }
+
+  /**
+   * Load how many days deleted chats are kept
+   */
+  static loadTrashRetention() {
+    try {
+      const data = localStorage.getItem(STORAGE_KEYS.TRASH_RETENTION);
+      return data ? JSON.parse(data) : DEFAULT_TRASH_RETENTION;
+    } catch (error) {
+      console.error("Failed to load trash retention:", error);
+      return DEFAULT_TRASH_RETENTION;
+    }
+  }
+
   /**
    * Clear all stored data
    */
-  static clearAll() {
+  static async clearAll() {
     try {
       Object.values(STORAGE_KEYS).forEach((key) => {
         localStorage.removeItem(key);
       });
+
+      const db = await this.openDatabase();
+      const transaction = db.transaction(CHAT_STORE, "readwrite");
+      transaction.objectStore(CHAT_STORE).clear();
+      await promisifyTransaction(transaction);
       return true;
     } catch (error) {
       console.error("Failed to clear storage:", error);
@@ -126,17 +504,14 @@ export class StorageManager {
   /**
    * Get storage usage info
    */
-  static getStorageInfo() {
-    let totalSize = 0;
-    for (let key in localStorage) {
-      if (localStorage.hasOwnProperty(key)) {
-        totalSize += localStorage[key].length + key.length;
-      }
-    }
+  static async getStorageInfo() {
+    const { usage = 0, quota = 0 } =
+      (await navigator.storage?.estimate?.()) || {};
     return {
-      used: totalSize,
-      usedKB: (totalSize / 1024).toFixed(2),
-      usedMB: (totalSize / 1024 / 1024).toFixed(2),
+      used: usage,
+      quota,
+      usedKB: (usage / 1024).toFixed(2),
+      usedMB: (usage / 1024 / 1024).toFixed(2),
     };
   }
 }
@@ -0,0 +1,87 @@
+/**
+ * Copyright 2024 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Sync Manager - Tells other tabs of the playground what changed in the
+ * chat history, and keeps two tabs from streaming into the same chat
+ *
+ * Tabs share one database, so messages only name the chats that changed
+ * and every tab reads them back from storage.
+ */
+
+const CHANNEL_NAME = "prompt-api-playground";
+const LOCK_PREFIX = "prompt-api-chat-";
+
+export class SyncManager {
+  /**
+   * Listen for the changes other tabs post
+   */
+  constructor(onMessage) {
+    this.channel =
+      typeof BroadcastChannel === "undefined"
+        ? null
+        : new BroadcastChannel(CHANNEL_NAME);
+    this.channel?.addEventListener("message", (e) => onMessage(e.data));
+  }
+
+  /**
+   * Tell other tabs that chats were saved, or every chat with null
+   */
+  chatsChanged(chatIds) {
+    this.post({ type: "chats", chatIds });
+  }
+
+  /**
+   * Tell other tabs that chats were deleted for good
+   */
+  chatsPurged(chatIds) {
+    this.post({ type: "purged", chatIds });
+  }
+
+  /**
+   * Tell other tabs that the folders changed
+   */
+  foldersChanged() {
+    this.post({ type: "folders" });
+  }
+
+  /**
+   * Tell other tabs that all data was cleared
+   */
+  cleared() {
+    this.post({ type: "cleared" });
+  }
+
+  /**
+   * Post a message to the other tabs
+   */
+  post(message) {
+    this.channel?.postMessage(message);
+  }
+
+  /**
+   * Hold a chat while a response streams into it
+   * Returns a function that lets go of the chat, or null if another tab is
+   * holding it. Locks are let go when their tab closes, even if it crashes.
+   */
+  static lockChat(chatId) {
+    if (!navigator.locks) {
+      return Promise.resolve(() => {});
+    }
+
+    return new Promise((resolve) => {
+      navigator.locks.request(
+        `${LOCK_PREFIX}${chatId}`,
+        { ifAvailable: true },
+        (lock) => {
+          if (!lock) {
+            resolve(null);
+            return undefined;
+          }
+          // The lock is held until this promise settles
+          return new Promise((release) => resolve(release));
+        },
+      );
+    });
+  }
+}
@@ -0,0 +1,155 @@
+/**
+ * Copyright 2024 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Template Manager - Handles the library of prompt templates inserted with
+ * slash commands
+ *
+ * Templates can contain `{{variables}}` that are filled in before the
+ * prompt is sent.
+ */
+
+import { StorageManager } from "./storageManager.js";
+
+// Matches `{{name}}`, allowing spaces inside the braces
+const VARIABLE_PATTERN = /\{\{\s*([^{}]+?)\s*\}\}/g;
+
+export class TemplateManager {
+  constructor() {
+    this.templates = StorageManager.loadPromptTemplates();
+  }
+
+  /**
+   * Create a new template
+   */
+  createTemplate(name, content) {
+    const template = {
+      id: `template-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      name,
+      content,
+    };
+
+    this.templates.push(template);
+    this.save();
+
+    return template;
+  }
+
+  /**
+   * Get a template by ID
+   */
+  getTemplate(templateId) {
+    return this.templates.find((template) => template.id === templateId);
+  }
+
+  /**
+   * Get a template by name, ignoring case
+   */
+  getTemplateByName(name) {
+    const lowerName = name.toLowerCase();
+    return this.templates.find(
+      (template) => template.name.toLowerCase() === lowerName,
+    );
+  }
+
+  /**
+   * Get all templates, sorted by name
+   */
+  getAllTemplates() {
+    return [...this.templates].sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Find the templates matching what was typed after `/`
+   * Templates whose command starts with the query come first.
+   */
+  findTemplates(query) {
+    const lowerQuery = query.toLowerCase();
+    const templates = this.getAllTemplates();
+    const starting = templates.filter((template) =>
+      TemplateManager.toCommand(template.name).startsWith(lowerQuery),
+    );
+    const containing = templates.filter(
+      (template) =>
+        !starting.includes(template) &&
+        template.name.toLowerCase().includes(lowerQuery),
+    );
+    return [...starting, ...containing];
+  }
+
+  /**
+   * Update a template's content
+   */
+  updateTemplate(templateId, content) {
+    const template = this.getTemplate(templateId);
+    if (template) {
+      template.content = content;
+      this.save();
+      return template;
+    }
+    return null;
+  }
+
+  /**
+   * Rename a template
+   */
+  renameTemplate(templateId, name) {
+    const template = this.getTemplate(templateId);
+    if (template) {
+      template.name = name;
+      this.save();
+      return template;
+    }
+    return null;
+  }
+
+  /**
+   * Delete a template
+   */
+  deleteTemplate(templateId) {
+    const index = this.templates.findIndex(
+      (template) => template.id === templateId,
+    );
+    if (index !== -1) {
+      this.templates.splice(index, 1);
+      this.save();
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Save templates to storage
+   */
+  save() {
+    StorageManager.savePromptTemplates(this.templates);
+  }
+
+  /**
+   * Get the slash command of a template name, like `code-review` for
+   * "Code Review"
+   */
+  static toCommand(name) {
+    return name
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}]+/gu, "-")
+      .replace(/^-+|-+$/g, "");
+  }
+
+  /**
+   * Get the names of the variables in a template, in order of first use
+   */
+  static getVariables(content) {
+    const names = [...content.matchAll(VARIABLE_PATTERN)].map(
+      (match) => match[1],
+    );
+    return [...new Set(names)];
+  }
+
+  /**
+   * Replace a template's variables with their values
+   */
+  static fill(content, values) {
+    return content.replace(VARIABLE_PATTERN, (_, name) => values[name] ?? "");
+  }
+}
@@ -5,13 +5,47 @@
  * UI Manager - Handles UI state and interactions
  */
 
+import { AVAILABILITY } from "./availabilityManager.js";
+import { SchemaValidator } from "./schemaValidator.js";
 import { StorageManager } from "./storageManager.js";
 
+// Data type of chats dragged onto folders
+const CHAT_DRAG_TYPE = "application/x-prompt-api-chat";
+
+// Tags shown on a chat item before the rest are counted
+const MAX_ITEM_TAGS = 2;
+
+// Option of the bulk move menu that takes chats out of their folder
+const NO_FOLDER = "none";
+
+// How long a toast stays up, in milliseconds
+const TOAST_DURATION = 8000;
+
 export class UIManager {
   constructor(chatManager) {
     this.chatManager = chatManager;
     this.elements = this.cacheElements();
     this.uiState = StorageManager.loadUIState();
+    this.modelReady = false;
+    this.attachmentTypes = [];
+    // Comparisons send text prompts without a response schema
+    this.compareMode = false;
+    // Query typed in the sidebar search box, if any
+    this.searchQuery = null;
+    // Tags a chat must have to be listed
+    this.tagFilters = new Set();
+    // Selection mode of the chat history, for bulk actions
+    this.selecting = false;
+    this.selectedChats = new Set();
+    // Chat a shift-click selects from
+    this.selectionAnchor = null;
+    // IDs of the chats in each rendered group, for select-all
+    this.chatGroups = [];
+    // Whether the trash is listed instead of the history
+    this.showingTrash = false;
+    // Button of the toast being shown, as `{ label, onClick }`
+    this.toastAction = null;
+    this.toastTimer = null;
     this.init();
   }
 
@@ -36,25 +70,90 @@ export class UIManager {
       // Chat history
       chatHistory: document.getElementById("chat-history"),
       chatSearch: document.getElementById("chat-search"),
+      tagFilters: document.getElementById("tag-filters"),
+      newFolderBtn: document.getElementById("new-folder-btn"),
+      selectChatsBtn: document.getElementById("select-chats-btn"),
+      bulkActions: document.getElementById("bulk-actions"),
+      bulkCount: document.getElementById("bulk-count"),
+      bulkMoveSelect: document.getElementById("bulk-move-select"),
+      trashBtn: document.getElementById("trash-btn"),
+      trashCount: document.getElementById("trash-count"),
+      toast: document.getElementById("toast"),
+      toastMessage: document.getElementById("toast-message"),
+      toastActionBtn: document.getElementById("toast-action-btn"),
       newChatBtn: document.getElementById("new-chat-btn"),
 
       // Main area
+      mainArea: document.getElementById("main-area"),
       chatTitle: document.getElementById("current-chat-title"),
       messagesContainer: document.getElementById("messages-container"),
       responseArea: document.getElementById("response-area"),
 
+      // Shared chat preview
+      sharePreview: document.getElementById("share-preview"),
+      saveSharedChatBtn: document.getElementById("save-shared-chat-btn"),
+      closeSharePreviewBtn: document.getElementById("close-share-preview-btn"),
+
+      // Compare mode
+      compareBtn: document.getElementById("compare-btn"),
+      compareArea: document.getElementById("compare-area"),
+      compareColumns: document.getElementById("compare-columns"),
+      addCompareColumnBtn: document.getElementById("add-compare-column-btn"),
+
       // Input
+      inputArea: document.getElementById("input-area"),
       promptInput: document.getElementById("prompt-input"),
+      addButton: document.getElementById("add-button"),
+      attachmentInput: document.getElementById("attachment-input"),
+      attachmentTray: document.getElementById("attachment-tray"),
+      templateSuggestions: document.getElementById("template-suggestions"),
+      templateForm: document.getElementById("template-form"),
+      templateFormTitle: document.getElementById("template-form-title"),
+      templateFormFields: document.getElementById("template-form-fields"),
+      templateFormCancelBtn: document.getElementById(
+        "template-form-cancel-btn",
+      ),
       messageForm: document.getElementById("message-form"),
       submitButton: document.getElementById("submit-button"),
+      stopButton: document.getElementById("stop-button"),
       costSpan: document.getElementById("cost"),
       tokenInfo: document.getElementById("token-info"),
 
+      // Model availability
+      modelStatus: document.getElementById("model-status"),
+      modelStatusText: document.getElementById("model-status-text"),
+      downloadProgress: document.getElementById("model-download-progress"),
+      downloadModelBtn: document.getElementById("download-model-btn"),
+
       // Settings
+      providerSelect: document.getElementById("provider-select"),
+      openaiSettings: document.getElementById("openai-settings"),
+      openaiEndpoint: document.getElementById("openai-endpoint"),
+      openaiModel: document.getElementById("openai-model"),
       temperatureSlider: document.getElementById("session-temperature"),
       temperatureValue: document.getElementById("temperature-value"),
       topKInput: document.getElementById("session-top-k"),
       topKValue: document.getElementById("topk-value"),
+      systemPrompt: document.getElementById("system-prompt"),
+      profileBadge: document.getElementById("profile-badge"),
+      parameterProfile: document.getElementById("parameter-profile"),
+      defaultProfile: document.getElementById("default-profile"),
+      updateProfileBtn: document.getElementById("update-profile-btn"),
+      renameProfileBtn: document.getElementById("rename-profile-btn"),
+      deleteProfileBtn: document.getElementById("delete-profile-btn"),
+      systemPromptPreset: document.getElementById("system-prompt-preset"),
+      savePresetBtn: document.getElementById("save-preset-btn"),
+      renamePresetBtn: document.getElementById("rename-preset-btn"),
+      deletePresetBtn: document.getElementById("delete-preset-btn"),
+      promptTemplate: document.getElementById("prompt-template"),
+      renameTemplateBtn: document.getElementById("rename-template-btn"),
+      deleteTemplateBtn: document.getElementById("delete-template-btn"),
+      structuredOutputToggle: document.getElementById(
+        "structured-output-toggle",
+      ),
+      responseSchema: document.getElementById("response-schema"),
+      responseSchemaError: document.getElementById("response-schema-error"),
+      addSchemaFieldBtn: document.getElementById("add-schema-field-btn"),
 
       // Stats
       temperature: document.getElementById("temperature"),
@@ -62,6 +161,13 @@ export class UIManager {
       tokensSoFar: document.getElementById("tokens-so-far"),
       tokensLeft: document.getElementById("tokens-left"),
       maxTokens: document.getElementById("max-tokens"),
+      contextMessages: document.getElementById("context-messages"),
+      contextChart: document.getElementById("context-chart"),
+      avgSessionCreate: document.getElementById("avg-session-create"),
+      avgFirstChunk: document.getElementById("avg-first-chunk"),
+      avgTotalTime: document.getElementById("avg-total-time"),
+      avgCharsPerSecond: document.getElementById("avg-chars-per-second"),
+      avgTokensPerSecond: document.getElementById("avg-tokens-per-second"),
 
       // Actions
       resetButton: document.getElementById("reset-button"),
@@ -69,6 +175,18 @@ export class UIManager {
       copyLinkButton: document.getElementById("copy-link-button"),
       shareBtn: document.getElementById("share-btn"),
 
+      // Batch runner
+      batchFileInfo: document.getElementById("batch-file-info"),
+      batchLoadBtn: document.getElementById("batch-load-btn"),
+      batchProgress: document.getElementById("batch-progress"),
+      batchStatus: document.getElementById("batch-status"),
+      batchPreview: document.getElementById("batch-preview"),
+      batchResults: document.getElementById("batch-results"),
+      batchRunBtn: document.getElementById("batch-run-btn"),
+      batchCancelBtn: document.getElementById("batch-cancel-btn"),
+      batchExportCSVBtn: document.getElementById("batch-export-csv-btn"),
+      batchExportJSONLBtn: document.getElementById("batch-export-jsonl-btn"),
+
       // Other
       errorMessage: document.getElementById("error-message"),
       problematicArea: document.getElementById("problematic-area"),
@@ -124,10 +242,164 @@ export class UIManager {
     // New chat
     this.elements.newChatBtn?.addEventListener("click", () => this.onNewChat());
 
+    // Message actions
+    this.elements.responseArea?.addEventListener("click", (e) => {
+      const button = e.target.closest(".message-action-btn");
+      const messageDiv = button?.closest(".message[data-message-index]");
+      if (!messageDiv) return;
+
+      const messageIndex = Number(messageDiv.dataset.messageIndex);
+      switch (button.dataset.action) {
+        case "branch":
+          this.onBranchFromMessage(messageIndex);
+          break;
+        case "edit":
+          this.onEditMessage(messageIndex);
+          break;
+        case "regenerate":
+          this.onRegenerateMessage(messageIndex);
+          break;
+        case "previous-version":
+          this.onSelectMessageVersion(messageIndex, -1);
+          break;
+        case "next-version":
+          this.onSelectMessageVersion(messageIndex, 1);
+          break;
+      }
+    });
+
+    // Stop generation
+    this.elements.stopButton?.addEventListener("click", () =>
+      this.onStopGeneration(),
+    );
+
+    // Compare mode
+    this.elements.compareBtn?.addEventListener("click", () =>
+      this.onToggleCompare(),
+    );
+    this.elements.addCompareColumnBtn?.addEventListener("click", () =>
+      this.onAddCompareColumn(),
+    );
+    this.elements.compareColumns?.addEventListener("click", (e) => {
+      const button = e.target.closest(".compare-remove-btn");
+      if (button) {
+        const column = button.closest(".compare-column");
+        this.onRemoveCompareColumn(Number(column.dataset.columnIndex));
+      }
+    });
+    this.elements.compareColumns?.addEventListener("change", (e) => {
+      const column = e.target.closest(".compare-column");
+      if (!column) return;
+
+      this.onCompareColumnChange(Number(column.dataset.columnIndex), {
+        temperature: Number(column.querySelector(".compare-temperature").value),
+        topK: Number(column.querySelector(".compare-top-k").value),
+        systemPrompt: column.querySelector(".compare-system-prompt").value,
+      });
+    });
+
+    // Model download
+    this.elements.downloadModelBtn?.addEventListener("click", () =>
+      this.onDownloadModel(),
+    );
+
+    // Attachments
+    this.elements.addButton?.addEventListener("click", () =>
+      this.elements.attachmentInput?.click(),
+    );
+    this.elements.attachmentInput?.addEventListener("change", (e) => {
+      const files = [...e.target.files];
+      e.target.value = "";
+      if (files.length > 0) this.onAddAttachments(files);
+    });
+    this.elements.attachmentTray?.addEventListener("click", (e) => {
+      const button = e.target.closest(".attachment-remove-btn");
+      if (button) this.onRemoveAttachment(button.dataset.attachmentId);
+    });
+    this.elements.promptInput?.addEventListener("paste", (e) => {
+      const files = [...(e.clipboardData?.files || [])];
+      if (files.length > 0 && !this.compareMode) {
+        e.preventDefault();
+        this.onAddAttachments(files);
+      }
+    });
+    this.setupAttachmentDrop();
+
+    // Prompt templates
+    // Keep focus in the prompt input while picking a suggestion
+    this.elements.templateSuggestions?.addEventListener("mousedown", (e) =>
+      e.preventDefault(),
+    );
+    this.elements.templateSuggestions?.addEventListener("click", (e) => {
+      const option = e.target.closest("[data-template-id]");
+      if (option) this.onInsertTemplate(option.dataset.templateId);
+    });
+    this.elements.templateForm?.addEventListener("submit", (e) => {
+      e.preventDefault();
+      this.onSubmitTemplateForm(this.getTemplateFormValues());
+    });
+    this.elements.templateFormCancelBtn?.addEventListener("click", () =>
+      this.onCancelTemplateForm(),
+    );
+
     // Chat search
     this.elements.chatSearch?.addEventListener("input", (e) =>
       this.onSearchChats(e.target.value),
     );
+    this.elements.newFolderBtn?.addEventListener("click", () =>
+      this.onCreateFolder(),
+    );
+
+    // Bulk actions
+    this.elements.selectChatsBtn?.addEventListener("click", () =>
+      this.setSelecting(!this.selecting),
+    );
+    this.elements.bulkActions?.addEventListener("click", (e) => {
+      const button = e.target.closest("[data-bulk-action]");
+      if (!button) return;
+
+      const chatIds = [...this.selectedChats];
+      switch (button.dataset.bulkAction) {
+        case "tag":
+          this.onBulkTag(chatIds);
+          break;
+        case "export":
+          this.onBulkExport(chatIds);
+          break;
+        case "merge":
+          this.onBulkMerge(chatIds);
+          break;
+        case "delete":
+          this.onBulkDelete(chatIds);
+          break;
+      }
+    });
+    this.elements.bulkMoveSelect?.addEventListener("change", (e) => {
+      const { value } = e.target;
+      e.target.value = "";
+      this.onBulkMove(
+        [...this.selectedChats],
+        value === NO_FOLDER ? null : value,
+      );
+    });
+
+    // Trash
+    this.elements.trashBtn?.addEventListener("click", () =>
+      this.setShowingTrash(!this.showingTrash),
+    );
+    this.elements.toastActionBtn?.addEventListener("click", () => {
+      const action = this.toastAction;
+      this.hideToast();
+      action?.onClick();
+    });
+
+    // Shared chat preview
+    this.elements.saveSharedChatBtn?.addEventListener("click", () =>
+      this.onSaveSharedChat(),
+    );
+    this.elements.closeSharePreviewBtn?.addEventListener("click", () =>
+      this.onCloseSharePreview(),
+    );
 
     // Chat title editing
     this.elements.chatTitle?.addEventListener("blur", () =>
@@ -194,46 +466,140 @@ export class UIManager {
 
   /**
    * Render chat history
+   * While searching, the matching messages are listed instead.
    */
-  renderChatHistory(filter = null) {
-    const chats = filter
+  renderChatHistory(filter = this.searchQuery) {
+    this.renderTrashCount();
+    if (this.showingTrash) {
+      this.renderTrash();
+      return;
+    }
+
+    // While selecting, searches list whole chats so they can be selected
+    if (filter && !this.selecting) {
+      this.renderTagFilters();
+      this.renderSearchResults(
+        this.chatManager
+          .searchMessages(filter)
+          .filter((result) =>
+            this.matchesTagFilters(this.chatManager.getChat(result.chatId)),
+          ),
+      );
+      return;
+    }
+
+    this.renderTagFilters();
+    this.chatGroups = [];
+    this.selectedChats.forEach((chatId) => {
+      if (!this.chatManager.getChat(chatId)) this.selectedChats.delete(chatId);
+    });
+
+    const allChats = filter
       ? this.chatManager.searchChats(filter)
       : this.chatManager.getAllChats();
-
-    if (chats.length === 0) {
+    const chats = allChats.filter((chat) => this.matchesTagFilters(chat));
+    const filtered = Boolean(filter) || this.tagFilters.size > 0;
+    if (
+      chats.length === 0 &&
+      (filtered || this.chatManager.getAllFolders().length === 0)
+    ) {
+      const [message, hint] = filter
+        ? ["No matching chats", "Try different words"]
+        : allChats.length > 0
+          ? ["No chats with these tags", "Clear a tag filter"]
+          : ["No chat history yet", "Start a new conversation"];
       this.elements.chatHistory.innerHTML = `
         <menu class="chat-history-empty">
-          <p>${filter ? "No chats found" : "No chat history yet"}</p>
-          <p class="hint">${filter ? "Try a different search" : "Start a new conversation"}</p>
+          <p>${message}</p>
+          <p class="hint">${hint}</p>
         </menu>
       `;
+      this.renderSelection();
       return;
     }
 
-    const grouped = this.groupChatsByDate(chats);
+    // Branches are listed under their parent chat instead of by date, and
+    // the columns of a comparison under its first column
+    const visibleIds = new Set(chats.map((chat) => chat.id));
+    const firstColumns = new Map();
+    chats.forEach((chat) => {
+      const first = firstColumns.get(chat.comparison?.id);
+      if (
+        chat.comparison &&
+        (!first || chat.comparison.column < first.comparison.column)
+      ) {
+        firstColumns.set(chat.comparison.id, chat);
+      }
+    });
+    const branches = new Map();
+    const rootChats = [];
+    chats.forEach((chat) => {
+      const firstColumn = chat.comparison
+        ? firstColumns.get(chat.comparison.id)
+        : null;
+      const parentId =
+        chat.parentId && visibleIds.has(chat.parentId)
+          ? chat.parentId
+          : firstColumn && firstColumn !== chat
+            ? firstColumn.id
+            : null;
+      if (parentId) {
+        if (!branches.has(parentId)) {
+          branches.set(parentId, []);
+        }
+        branches.get(parentId).push(chat);
+      } else {
+        rootChats.push(chat);
+      }
+    });
+
+    // Pinned chats come first, then folders, then the rest by date
+    const pinned = rootChats.filter((chat) => chat.pinned);
+    const unpinned = rootChats.filter((chat) => !chat.pinned);
+    const collapsedFolders = this.uiState.collapsedFolders || [];
     let html = "";
 
+    if (pinned.length > 0) {
+      html += `<menu class="chat-group">`;
+      html += `<div class="chat-group-label">${this.renderGroupSelect(pinned, branches, "Pinned")}Pinned</div>`;
+      pinned.forEach((chat) => {
+        html += this.renderChatTree(chat, branches);
+      });
+      html += `</menu>`;
+    }
+
+    this.chatManager.getAllFolders().forEach((folder) => {
+      const folderChats = unpinned.filter((chat) => chat.folder === folder.id);
+      // Empty folders are kept as drop targets unless filtering
+      if (folderChats.length === 0 && filtered) return;
+
+      const collapsed = collapsedFolders.includes(folder.id);
+      html += `<menu class="chat-group chat-folder ${collapsed ? "collapsed" : ""}" data-drop-folder="${folder.id}">`;
+      html += this.renderFolderLabel(
+        folder,
+        folderChats.length,
+        collapsed,
+        this.renderGroupSelect(folderChats, branches, folder.name),
+      );
+      if (!collapsed) {
+        folderChats.forEach((chat) => {
+          html += this.renderChatTree(chat, branches);
+        });
+      }
+      html += `</menu>`;
+    });
+
+    const grouped = this.groupChatsByDate(
+      unpinned.filter((chat) => !this.chatManager.getFolder(chat.folder)),
+    );
     for (const [label, groupChats] of Object.entries(grouped)) {
       if (groupChats.length > 0) {
-        html += `<menu class="chat-group">`;
-        html += `<div class="chat-group-label">${label}</div>`;
+        // Dropping a chat on a date group takes it out of its folder
+        html += `<menu class="chat-group" data-drop-folder="">`;
+        html += `<div class="chat-group-label">${this.renderGroupSelect(groupChats, branches, label)}${label}</div>`;
 
         groupChats.forEach((chat) => {
-          const isActive = chat.id === this.chatManager.activeChat;
-          html += `
-            <li class="chat-item ${isActive ? "active" : ""}" data-chat-id="${chat.id}">
-              <div class="chat-item-title">${this.escapeHtml(chat.title)}</div>
-              <button class="chat-item-delete" data-chat-id="${chat.id}" title="Delete chat" aria-label="Delete chat">
-                  <svg width="16" height="16" viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg">
-                    <path d="M2 4h12" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/>
-                    <path d="M5.5 4V2.5a1 1 0 011-1h3a1 1 0 011 1V4" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>
-                    <path d="M12.5 4v9.5a1 1 0 01-1 1h-7a1 1 0 01-1-1V4h9z" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>
-                    <path d="M6.5 7v4M9.5 7v4" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/>
-                  </svg>
-                </button>
-              </div>
-            </li>
-          `;
+          html += this.renderChatTree(chat, branches);
         });
 
         html += `</menu>`;
@@ -245,12 +611,20 @@ export class UIManager {
     // Add click listeners for chat items
     this.elements.chatHistory.querySelectorAll(".chat-item").forEach((item) => {
       item.addEventListener("click", (e) => {
-        // Don't trigger if clicking delete button
-        if (e.target.closest(".chat-item-delete")) return;
+        // Don't trigger if clicking a button or tag on the item
+        if (e.target.closest("button")) return;
 
         const chatId = item.dataset.chatId;
+        if (this.selecting) {
+          this.toggleChatSelection(chatId, e.shiftKey);
+          return;
+        }
         this.onChatSelect(chatId);
       });
+      item.addEventListener("dragstart", (e) => {
+        e.dataTransfer.setData(CHAT_DRAG_TYPE, item.dataset.chatId);
+        e.dataTransfer.effectAllowed = "move";
+      });
     });
 
     // Add click listeners for delete buttons
@@ -263,165 +637,1941 @@ export class UIManager {
           this.onChatDelete(chatId);
         });
       });
-  }
-
-  /**
-   * Group chats by date for display
-   */
-  groupChatsByDate(chats) {
-    const now = Date.now();
-    const oneDay = 24 * 60 * 60 * 1000;
 
-    const groups = {
-      Chats: [],
-      Yesterday: [],
-      "Previous 7 days": [],
-      "Previous 30 days": [],
-      Older: [],
-    };
-
-    chats.forEach((chat) => {
-      const age = now - chat.timestamp;
-
-      if (age < oneDay) {
-        groups["Chats"].push(chat);
-      } else if (age < 2 * oneDay) {
-        groups["Yesterday"].push(chat);
-      } else if (age < 7 * oneDay) {
-        groups["Previous 7 days"].push(chat);
-      } else if (age < 30 * oneDay) {
-        groups["Previous 30 days"].push(chat);
-      } else {
-        groups["Older"].push(chat);
-      }
+    this.elements.chatHistory
+      .querySelectorAll(".chat-item-pin")
+      .forEach((btn) => {
+        btn.addEventListener("click", () =>
+          this.onTogglePin(btn.dataset.chatId),
+        );
+      });
+    this.elements.chatHistory
+      .querySelectorAll(".chat-item-tags-btn")
+      .forEach((btn) => {
+        btn.addEventListener("click", () =>
+          this.onEditTags(btn.dataset.chatId),
+        );
+      });
+    this.elements.chatHistory.querySelectorAll(".chat-tag").forEach((tag) => {
+      tag.addEventListener("click", () =>
+        this.toggleTagFilter(tag.dataset.tag),
+      );
     });
 
-    return groups;
+    this.elements.chatHistory
+      .querySelectorAll(".chat-group-select")
+      .forEach((checkbox) => {
+        checkbox.addEventListener("change", () =>
+          this.toggleGroupSelection(Number(checkbox.dataset.group)),
+        );
+      });
+
+    this.setupFolderListeners();
+    this.renderSelection();
   }
 
   /**
-   * Format timestamp for display
+   * Show or hide the trash in place of the history
    */
-  formatTimestamp(timestamp) {
-    const date = new Date(timestamp);
-    const now = new Date();
-    const diff = now - date;
-    const oneHour = 60 * 60 * 1000;
-    const oneDay = 24 * oneHour;
-
-    if (diff < oneHour) {
-      const minutes = Math.floor(diff / (60 * 1000));
-      return minutes <= 1 ? "Just now" : `${minutes} minutes ago`;
-    } else if (diff < oneDay) {
-      const hours = Math.floor(diff / oneHour);
-      return `${hours} hour${hours > 1 ? "s" : ""} ago`;
-    } else if (diff < 7 * oneDay) {
-      return date.toLocaleDateString(undefined, {
-        weekday: "short",
-        hour: "2-digit",
-        minute: "2-digit",
-      });
-    } else {
-      return date.toLocaleDateString(undefined, {
-        month: "short",
-        day: "numeric",
-      });
+  setShowingTrash(enabled) {
+    if (enabled && this.selecting) {
+      this.setSelecting(false);
     }
+    this.showingTrash = enabled;
+    this.elements.trashBtn?.setAttribute("aria-pressed", String(enabled));
+    this.elements.leftSidebar?.classList.toggle("showing-trash", enabled);
+    this.renderChatHistory();
   }
 
   /**
-   * Render message in chat
+   * Show how many chats are in the trash on its button
    */
-  renderMessage(role, content) {
-    const messageDiv = document.createElement("div");
-    messageDiv.classList.add("message", role);
+  renderTrashCount() {
+    const count = this.chatManager.getTrashedChats().length;
+    if (this.elements.trashCount) {
+      this.elements.trashCount.textContent = count > 0 ? count : "";
+    }
+  }
 
-    const bubble = document.createElement("div");
-    bubble.classList.add("message-bubble");
-    bubble.textContent = content;
+  /**
+   * Render the chats in the trash with their restore and delete buttons
+   */
+  renderTrash() {
+    const chats = this.chatManager.getTrashedChats();
+    const days = this.chatManager.trashRetention;
+    const retention =
+      days === null
+        ? "Deleted chats are kept until you empty the trash"
+        : `Deleted chats are kept for ${days} day${days === 1 ? "" : "s"}`;
 
-    messageDiv.appendChild(bubble);
-    this.elements.responseArea.appendChild(messageDiv);
+    if (chats.length === 0) {
+      this.elements.chatHistory.innerHTML = `
+        <menu class="chat-history-empty">
+          <p>The trash is empty</p>
+          <p class="hint">${retention}</p>
+        </menu>
+      `;
+      return;
+    }
 
-    // Scroll to bottom
-    this.scrollToBottom();
+    let html = `<menu class="chat-group">`;
+    html += `
+            <div class="chat-group-label trash-label">
+              <span>Trash</span>
+              <button class="trash-empty-btn" title="Delete every chat in the trash for good">Empty</button>
+            </div>
+          `;
+    chats.forEach((chat) => {
+      const title = this.escapeAttribute(chat.title);
+      html += `
+            <li class="chat-item trash-item" data-chat-id="${chat.id}">
+              <div class="chat-item-title">
+                ${this.escapeHtml(chat.title)}
+                <small class="trash-item-date">Deleted ${this.formatTimestamp(chat.deletedAt)}</small>
+              </div>
+              <button class="chat-item-action trash-restore" data-chat-id="${chat.id}" title="Restore chat" aria-label="Restore ${title}">
+                  <svg width="16" height="16" viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg">
+                    <path d="M3 8a5 5 0 105-5H6M6 1L4 3l2 2" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>
+                  </svg>
+                </button>
+              <button class="chat-item-delete trash-purge" data-chat-id="${chat.id}" title="Delete for good" aria-label="Delete ${title} for good">
+                  <svg width="16" height="16" viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg">
+                    <path d="M4 4l8 8M12 4l-8 8" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/>
+                  </svg>
+                </button>
+            </li>
+          `;
+    });
+    html += `</menu>`;
+    html += `<p class="trash-retention hint">${retention}</p>`;
+
+    const history = this.elements.chatHistory;
+    history.innerHTML = html;
+    history.querySelectorAll(".trash-restore").forEach((btn) => {
+      btn.addEventListener("click", () =>
+        this.onRestoreChat(btn.dataset.chatId),
+      );
+    });
+    history.querySelectorAll(".trash-purge").forEach((btn) => {
+      btn.addEventListener("click", () => this.onPurgeChat(btn.dataset.chatId));
+    });
+    history
+      .querySelector(".trash-empty-btn")
+      ?.addEventListener("click", () => this.onEmptyTrash());
+  }
 
-    return bubble;
+  /**
+   * Show a message at the bottom of the page for a few seconds, with an
+   * optional `{ label, onClick }` button
+   */
+  showToast(message, action = null) {
+    const { toast, toastMessage, toastActionBtn } = this.elements;
+    if (!toast) return;
+
+    clearTimeout(this.toastTimer);
+    this.toastAction = action;
+    toastMessage.textContent = message;
+    toastActionBtn.textContent = action?.label ?? "";
+    toastActionBtn.hidden = !action;
+    toast.hidden = false;
+    this.toastTimer = setTimeout(() => this.hideToast(), TOAST_DURATION);
   }
 
   /**
-   * Update message bubble content (for streaming)
+   * Hide the toast
    */
-  updateMessageBubble(bubble, content) {
-    bubble.innerHTML = content;
+  hideToast() {
+    clearTimeout(this.toastTimer);
+    this.toastAction = null;
+    if (this.elements.toast) {
+      this.elements.toast.hidden = true;
+    }
   }
 
   /**
-   * Scroll messages to bottom
+   * Render the checkbox that selects every chat of a group, branches
+   * included, while selecting
    */
-  scrollToBottom() {
-    this.elements.messagesContainer.scrollTop =
-      this.elements.messagesContainer.scrollHeight;
+  renderGroupSelect(chats, branches, label) {
+    if (!this.selecting) return "";
+
+    const collect = (chat) => [
+      chat.id,
+      ...(branches.get(chat.id) || []).flatMap(collect),
+    ];
+    const group = this.chatGroups.push(chats.flatMap(collect)) - 1;
+    return `<input type="checkbox" class="chat-group-select" data-group="${group}" aria-label="Select all chats in ${this.escapeAttribute(label)}" />`;
   }
 
   /**
-   * Clear messages area
+   * Enter or leave selection mode, clearing the selection
    */
-  clearMessages() {
-    this.elements.responseArea.innerHTML = "";
+  setSelecting(enabled) {
+    this.selecting = enabled;
+    this.selectedChats.clear();
+    this.selectionAnchor = null;
+
+    const button = this.elements.selectChatsBtn;
+    if (button) {
+      button.textContent = enabled ? "Done" : "Select";
+      button.setAttribute("aria-pressed", String(enabled));
+    }
+    if (this.elements.bulkActions) {
+      this.elements.bulkActions.hidden = !enabled;
+    }
+    this.elements.chatHistory.classList.toggle("selecting", enabled);
+    this.renderChatHistory();
   }
 
   /**
-   * Show error message
+   * Select or deselect a chat
+   * With `range`, selects every chat listed between the previously clicked
+   * chat and this one.
    */
-  showError(message) {
-    this.elements.errorMessage.innerHTML = message;
-    this.elements.errorMessage.style.display = "block";
+  toggleChatSelection(chatId, range = false) {
+    const order = [
+      ...this.elements.chatHistory.querySelectorAll(".chat-item"),
+    ].map((item) => item.dataset.chatId);
+    const anchorIndex = order.indexOf(this.selectionAnchor);
+    const index = order.indexOf(chatId);
+
+    if (range && anchorIndex !== -1 && index !== -1) {
+      order
+        .slice(Math.min(anchorIndex, index), Math.max(anchorIndex, index) + 1)
+        .forEach((id) => this.selectedChats.add(id));
+    } else if (!this.selectedChats.delete(chatId)) {
+      this.selectedChats.add(chatId);
+    }
+    this.selectionAnchor = chatId;
+    this.renderSelection();
+  }
 
-    setTimeout(() => {
-      this.elements.errorMessage.style.display = "none";
-    }, 5000);
+  /**
+   * Select every chat of a group, or deselect them if they all are
+   */
+  toggleGroupSelection(group) {
+    const chatIds = this.chatGroups[group] || [];
+    const allSelected = chatIds.every((chatId) =>
+      this.selectedChats.has(chatId),
+    );
+    chatIds.forEach((chatId) => {
+      if (allSelected) {
+        this.selectedChats.delete(chatId);
+      } else {
+        this.selectedChats.add(chatId);
+      }
+    });
+    this.renderSelection();
   }
 
   /**
-   * Update session stats display
+   * Show which chats are selected and update the bulk actions to match
    */
-  updateStats(session) {
-    const numberFormat = new Intl.NumberFormat("en-US");
-    const decimalFormat = new Intl.NumberFormat("en-US", {
-      minimumFractionDigits: 1,
-      maximumFractionDigits: 1,
+  renderSelection() {
+    const history = this.elements.chatHistory;
+    history.querySelectorAll(".chat-item").forEach((item) => {
+      const selected = this.selectedChats.has(item.dataset.chatId);
+      item.classList.toggle("selected", selected);
+      const checkbox = item.querySelector(".chat-item-select");
+      if (checkbox) checkbox.checked = selected;
+    });
+    history.querySelectorAll(".chat-group-select").forEach((checkbox) => {
+      const chatIds = this.chatGroups[Number(checkbox.dataset.group)] || [];
+      const count = chatIds.filter((chatId) =>
+        this.selectedChats.has(chatId),
+      ).length;
+      checkbox.checked = count > 0 && count === chatIds.length;
+      checkbox.indeterminate = count > 0 && count < chatIds.length;
     });
 
-    if (this.elements.temperature) {
-      this.elements.temperature.textContent = decimalFormat.format(
-        session.temperature,
-      );
-    }
-    if (this.elements.topK) {
-      this.elements.topK.textContent = numberFormat.format(session.topK);
-    }
+    const { bulkActions, bulkCount, bulkMoveSelect } = this.elements;
+    if (!this.selecting || !bulkActions) return;
 
-    const maxTokens = session.inputQuota || session.maxTokens;
-    const tokensUsed = session.inputUsage || session.tokensSoFar;
-    const tokensLeft =
-      session.tokensSoFar || session.inputQuota - session.inputUsage;
+    const count = this.selectedChats.size;
+    bulkCount.textContent = `${count} selected`;
+    bulkActions.querySelectorAll("[data-bulk-action]").forEach((button) => {
+      // Merging needs at least two chats
+      button.disabled = count < (button.dataset.bulkAction === "merge" ? 2 : 1);
+    });
 
-    if (this.elements.maxTokens) {
-      this.elements.maxTokens.textContent = numberFormat.format(maxTokens);
-    }
-    if (this.elements.tokensSoFar) {
-      this.elements.tokensSoFar.textContent = numberFormat.format(tokensUsed);
-    }
-    if (this.elements.tokensLeft) {
-      this.elements.tokensLeft.textContent = numberFormat.format(tokensLeft);
-    }
+    bulkMoveSelect.disabled = count === 0;
+    bulkMoveSelect.innerHTML = `
+      <option value="" selected disabled>Move to…</option>
+      <option value="${NO_FOLDER}">No folder</option>
+      ${this.chatManager
+        .getAllFolders()
+        .map(
+          (folder) =>
+            `<option value="${folder.id}">${this.escapeHtml(folder.name)}</option>`,
+        )
+        .join("")}
+    `;
   }
 
   /**
-   * Setup textarea auto-resize
+   * Render the label of a folder with its collapse, rename and delete
+   * buttons
    */
-  setupTextareaAutoResize() {
+  renderFolderLabel(folder, count, collapsed, groupSelect = "") {
+    const name = this.escapeHtml(folder.name);
+    const label = this.escapeAttribute(folder.name);
+    return `
+            <div class="chat-group-label chat-folder-label">
+              ${groupSelect}<button class="chat-folder-toggle" data-folder-id="${folder.id}" aria-expanded="${!collapsed}" title="${collapsed ? "Expand" : "Collapse"} ${label}">
+                <svg width="12" height="12" viewBox="0 0 12 12" fill="none" xmlns="http://www.w3.org/2000/svg" aria-hidden="true">
+                  <path d="M4 2.5L7.5 6 4 9.5" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>
+                </svg>
+                <span class="chat-folder-name">${name}</span>
+                <span class="chat-folder-count">${count}</span>
+              </button>
+              <button class="chat-folder-action chat-folder-rename" data-folder-id="${folder.id}" title="Rename folder" aria-label="Rename folder ${label}">
+                <svg width="14" height="14" viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg" aria-hidden="true">
+                  <path d="M11 2.5l2.5 2.5L6 12.5H3.5V10L11 2.5z" stroke="currentColor" stroke-width="1.5" stroke-linejoin="round"/>
+                </svg>
+              </button>
+              <button class="chat-folder-action chat-folder-delete" data-folder-id="${folder.id}" title="Delete folder" aria-label="Delete folder ${label}">
+                <svg width="14" height="14" viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg" aria-hidden="true">
+                  <path d="M4 4l8 8M12 4l-8 8" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/>
+                </svg>
+              </button>
+            </div>
+          `;
+  }
+
+  /**
+   * Add the listeners of folder buttons and of the groups chats can be
+   * dropped on
+   */
+  setupFolderListeners() {
+    const history = this.elements.chatHistory;
+
+    history.querySelectorAll(".chat-folder-toggle").forEach((btn) => {
+      btn.addEventListener("click", () =>
+        this.toggleFolderCollapsed(btn.dataset.folderId),
+      );
+    });
+    history.querySelectorAll(".chat-folder-rename").forEach((btn) => {
+      btn.addEventListener("click", () =>
+        this.onRenameFolder(btn.dataset.folderId),
+      );
+    });
+    history.querySelectorAll(".chat-folder-delete").forEach((btn) => {
+      btn.addEventListener("click", () =>
+        this.onDeleteFolder(btn.dataset.folderId),
+      );
+    });
+
+    history.querySelectorAll("[data-drop-folder]").forEach((group) => {
+      group.addEventListener("dragover", (e) => {
+        if (!e.dataTransfer.types.includes(CHAT_DRAG_TYPE)) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = "move";
+        group.classList.add("drag-over");
+      });
+      group.addEventListener("dragleave", (e) => {
+        if (!group.contains(e.relatedTarget)) {
+          group.classList.remove("drag-over");
+        }
+      });
+      group.addEventListener("drop", (e) => {
+        e.preventDefault();
+        group.classList.remove("drag-over");
+        const chatId = e.dataTransfer.getData(CHAT_DRAG_TYPE);
+        if (chatId) {
+          this.onMoveChatToFolder(chatId, group.dataset.dropFolder || null);
+        }
+      });
+    });
+  }
+
+  /**
+   * Collapse or expand a folder, remembering it across reloads
+   */
+  toggleFolderCollapsed(folderId) {
+    const collapsed = new Set(this.uiState.collapsedFolders || []);
+    if (!collapsed.delete(folderId)) {
+      collapsed.add(folderId);
+    }
+    this.uiState.collapsedFolders = [...collapsed];
+    StorageManager.saveUIState(this.uiState);
+    this.renderChatHistory();
+  }
+
+  /**
+   * Render the tag filter chips next to the search box
+   * Filters for tags no chat uses anymore are dropped.
+   */
+  renderTagFilters() {
+    const container = this.elements.tagFilters;
+    const tags = this.chatManager.getAllTags();
+    this.tagFilters.forEach((tag) => {
+      if (!tags.includes(tag)) this.tagFilters.delete(tag);
+    });
+    if (!container) return;
+
+    container.innerHTML = "";
+    container.hidden = tags.length === 0;
+    tags.forEach((tag) => {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.classList.add("tag-filter");
+      button.textContent = `#${tag}`;
+      button.setAttribute("aria-pressed", String(this.tagFilters.has(tag)));
+      button.addEventListener("click", () => this.toggleTagFilter(tag));
+      container.appendChild(button);
+    });
+  }
+
+  /**
+   * Show only the chats with a tag, or stop filtering by it
+   */
+  toggleTagFilter(tag) {
+    if (!this.tagFilters.delete(tag)) {
+      this.tagFilters.add(tag);
+    }
+    this.renderChatHistory();
+  }
+
+  /**
+   * Whether a chat has every tag being filtered by
+   */
+  matchesTagFilters(chat) {
+    return [...this.tagFilters].every((tag) => chat.tags?.includes(tag));
+  }
+
+  /**
+   * Render the titles and messages matching a search, with their matches
+   * highlighted
+   */
+  renderSearchResults(results) {
+    const container = this.elements.chatHistory;
+    if (results.length === 0) {
+      container.innerHTML = `
+        <menu class="chat-history-empty">
+          <p>No messages found</p>
+          <p class="hint">Try other words, a "quoted phrase" or role:assistant</p>
+        </menu>
+      `;
+      return;
+    }
+
+    const roleLabels = { title: "Title", user: "You", assistant: "Assistant" };
+    const menu = document.createElement("menu");
+    menu.classList.add("chat-group");
+    menu.innerHTML = `<div class="chat-group-label">${results.length} result${results.length === 1 ? "" : "s"}</div>`;
+
+    results.forEach((result) => {
+      const chat = this.chatManager.getChat(result.chatId);
+      const item = document.createElement("li");
+      const button = document.createElement("button");
+      button.type = "button";
+      button.classList.add("search-result");
+      button.classList.toggle(
+        "active",
+        result.chatId === this.chatManager.activeChat,
+      );
+
+      const meta = document.createElement("div");
+      meta.classList.add("search-result-meta");
+      const title = document.createElement("span");
+      title.classList.add("search-result-chat");
+      title.textContent = chat?.title ?? "";
+      const role = document.createElement("span");
+      role.textContent = roleLabels[result.role] ?? result.role;
+      meta.append(title, role);
+
+      const snippet = document.createElement("div");
+      snippet.classList.add("search-result-snippet");
+      let position = 0;
+      result.snippet.highlights.forEach(([start, end]) => {
+        snippet.append(result.snippet.text.slice(position, start));
+        const mark = document.createElement("mark");
+        mark.textContent = result.snippet.text.slice(start, end);
+        snippet.appendChild(mark);
+        position = end;
+      });
+      snippet.append(result.snippet.text.slice(position));
+
+      button.append(meta, snippet);
+      button.addEventListener("click", () =>
+        this.onSearchResultSelect(result.chatId, result.messageIndex),
+      );
+      item.appendChild(button);
+      menu.appendChild(item);
+    });
+
+    container.innerHTML = "";
+    container.appendChild(menu);
+  }
+
+  /**
+   * Scroll to a message and flash it
+   */
+  highlightMessage(messageIndex) {
+    const messageDiv = this.elements.responseArea?.querySelector(
+      `.message[data-message-index="${messageIndex}"]`,
+    );
+    if (!messageDiv) return;
+
+    messageDiv.scrollIntoView({ block: "center" });
+    // Restart the animation when the same message is picked again
+    messageDiv.classList.remove("search-highlight");
+    void messageDiv.offsetWidth;
+    messageDiv.classList.add("search-highlight");
+    const onAnimationEnd = (e) => {
+      if (e.animationName !== "searchHighlight") return;
+      messageDiv.classList.remove("search-highlight");
+      messageDiv.removeEventListener("animationend", onAnimationEnd);
+    };
+    messageDiv.addEventListener("animationend", onAnimationEnd);
+  }
+
+  /**
+   * Render a chat item followed by its branches
+   */
+  renderChatTree(chat, branches, depth = 0) {
+    let html = this.renderChatItem(chat, depth);
+    (branches.get(chat.id) || []).forEach((branch) => {
+      html += this.renderChatTree(branch, branches, depth + 1);
+    });
+    return html;
+  }
+
+  /**
+   * Render a single chat item
+   */
+  renderChatItem(chat, depth = 0) {
+    const isActive = chat.id === this.chatManager.activeChat;
+    const parent = chat.parentId
+      ? this.chatManager.getChat(chat.parentId)
+      : null;
+    const branchIcon = chat.parentId
+      ? `
+              <svg class="chat-item-branch-icon" width="14" height="14" viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg" aria-hidden="true">
+                <circle cx="4" cy="3" r="1.5" stroke="currentColor" stroke-width="1.5"/>
+                <circle cx="4" cy="13" r="1.5" stroke="currentColor" stroke-width="1.5"/>
+                <circle cx="12" cy="5" r="1.5" stroke="currentColor" stroke-width="1.5"/>
+                <path d="M4 4.5v7M12 6.5c0 3-8 2-8 5" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/>
+              </svg>`
+      : "";
+    const compareIcon =
+      chat.comparison && !chat.parentId
+        ? `
+              <svg class="chat-item-branch-icon" width="14" height="14" viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg" aria-hidden="true">
+                <rect x="1.5" y="2.5" width="5" height="11" rx="1" stroke="currentColor" stroke-width="1.5"/>
+                <rect x="9.5" y="2.5" width="5" height="11" rx="1" stroke="currentColor" stroke-width="1.5"/>
+              </svg>`
+        : "";
+    let branchTitle = "";
+    if (parent) {
+      branchTitle = `title="Branch of ${this.escapeHtml(parent.title)}"`;
+    } else if (chat.comparison) {
+      branchTitle = `title="Column of a comparison; open it and press Compare to see all columns"`;
+    }
+
+    const tags = chat.tags || [];
+    const tagChips = tags
+      .slice(0, MAX_ITEM_TAGS)
+      .map(
+        (tag) =>
+          `<button class="chat-tag" data-tag="${this.escapeAttribute(tag)}" title="Show chats tagged ${this.escapeAttribute(tag)}">#${this.escapeHtml(tag)}</button>`,
+      )
+      .join("");
+    const moreTags =
+      tags.length > MAX_ITEM_TAGS
+        ? `<span class="chat-tag-more" title="${this.escapeAttribute(tags.slice(MAX_ITEM_TAGS).join(", "))}">+${tags.length - MAX_ITEM_TAGS}</span>`
+        : "";
+
+    return `
+            <li class="chat-item ${isActive ? "active" : ""} ${depth > 0 ? "branch" : ""}" data-chat-id="${chat.id}" style="--branch-depth: ${depth}" draggable="true" ${branchTitle}>
+              ${this.selecting ? `<input type="checkbox" class="chat-item-select" aria-label="Select ${this.escapeAttribute(chat.title)}" />` : ""}${branchIcon}${compareIcon}
+              <div class="chat-item-title">${this.escapeHtml(chat.title)}</div>
+              ${tagChips || moreTags ? `<div class="chat-item-tags">${tagChips}${moreTags}</div>` : ""}
+              <button class="chat-item-action chat-item-pin ${chat.pinned ? "pinned" : ""}" data-chat-id="${chat.id}" title="${chat.pinned ? "Unpin" : "Pin"} chat" aria-label="${chat.pinned ? "Unpin" : "Pin"} chat" aria-pressed="${chat.pinned === true}">
+                  <svg width="16" height="16" viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg">
+                    <path d="M6 2h4l-.5 4 2.5 2.5H4L6.5 6 6 2zM8 8.5V14" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>
+                  </svg>
+                </button>
+              <button class="chat-item-action chat-item-tags-btn" data-chat-id="${chat.id}" title="Edit tags" aria-label="Edit tags">
+                  <svg width="16" height="16" viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg">
+                    <path d="M2 2.5h5.5l6.5 6.5-5 5-6.5-6.5V2.5z" stroke="currentColor" stroke-width="1.5" stroke-linejoin="round"/>
+                    <circle cx="5.5" cy="6" r="1" fill="currentColor"/>
+                  </svg>
+                </button>
+              <button class="chat-item-delete" data-chat-id="${chat.id}" title="Delete chat" aria-label="Delete chat">
+                  <svg width="16" height="16" viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg">
+                    <path d="M2 4h12" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/>
+                    <path d="M5.5 4V2.5a1 1 0 011-1h3a1 1 0 011 1V4" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>
+                    <path d="M12.5 4v9.5a1 1 0 01-1 1h-7a1 1 0 01-1-1V4h9z" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>
+                    <path d="M6.5 7v4M9.5 7v4" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/>
+                  </svg>
+                </button>
+            </li>
+          `;
+  }
+
+  /**
+   * Add the action buttons shown under a message
+   */
+  addMessageActions(messageDiv, message) {
+    const actions = document.createElement("div");
+    actions.classList.add("message-actions");
+
+    let html = "";
+    if (message.versions?.length > 1) {
+      const current = message.activeVersion;
+      const total = message.versions.length;
+      html += `
+        <div class="message-versions">
+          <button type="button" class="message-action-btn" data-action="previous-version" title="Previous version" aria-label="Previous version" ${current === 0 ? "disabled" : ""}>&lsaquo;</button>
+          <span class="message-version-label">${current + 1}/${total}</span>
+          <button type="button" class="message-action-btn" data-action="next-version" title="Next version" aria-label="Next version" ${current === total - 1 ? "disabled" : ""}>&rsaquo;</button>
+        </div>
+      `;
+    }
+
+    if (message.role === "user") {
+      html += `
+        <button type="button" class="message-action-btn" data-action="edit" title="Edit" aria-label="Edit">
+          <svg width="16" height="16" viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg">
+            <path d="M11 2l3 3-8 8H3v-3l8-8z" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>
+          </svg>
+        </button>
+      `;
+    } else {
+      html += `
+        <button type="button" class="message-action-btn" data-action="regenerate" title="Regenerate" aria-label="Regenerate">
+          <svg width="16" height="16" viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg">
+            <path d="M13.5 8a5.5 5.5 0 11-1.6-3.9M13.5 2v3h-3" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>
+          </svg>
+        </button>
+      `;
+    }
+
+    html += `
+      <button type="button" class="message-action-btn" data-action="branch" title="Branch from here" aria-label="Branch from here">
+        <svg width="16" height="16" viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg">
+          <circle cx="4" cy="3" r="1.5" stroke="currentColor" stroke-width="1.5"/>
+          <circle cx="4" cy="13" r="1.5" stroke="currentColor" stroke-width="1.5"/>
+          <circle cx="12" cy="5" r="1.5" stroke="currentColor" stroke-width="1.5"/>
+          <path d="M4 4.5v7M12 6.5c0 3-8 2-8 5" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/>
+        </svg>
+      </button>
+    `;
+
+    actions.innerHTML = html;
+    messageDiv.appendChild(actions);
+  }
+
+  /**
+   * Show an inline editor in place of a message bubble
+   * Resolves with the edited text, or null when cancelled
+   */
+  editMessage(messageDiv, content) {
+    return new Promise((resolve) => {
+      const bubble = messageDiv.querySelector(".message-bubble");
+      const actions = messageDiv.querySelector(".message-actions");
+
+      const editor = document.createElement("div");
+      editor.classList.add("message-editor");
+      editor.innerHTML = `
+        <textarea class="message-editor-input" rows="3" aria-label="Edit message"></textarea>
+        <div class="message-editor-actions">
+          <button type="button" class="dialog-btn" data-action="cancel">Cancel</button>
+          <button type="button" class="dialog-btn dialog-btn-primary" data-action="save">Send</button>
+        </div>
+      `;
+      const input = editor.querySelector("textarea");
+      input.value = content;
+
+      const bubbleHidden = bubble.hidden;
+      bubble.hidden = true;
+      if (actions) actions.hidden = true;
+      messageDiv.appendChild(editor);
+      input.focus();
+
+      const finish = (value) => {
+        editor.remove();
+        bubble.hidden = bubbleHidden;
+        if (actions) actions.hidden = false;
+        resolve(value);
+      };
+
+      editor.addEventListener("click", (e) => {
+        const action = e.target.closest("button")?.dataset.action;
+        if (action === "save") finish(input.value);
+        if (action === "cancel") finish(null);
+      });
+
+      input.addEventListener("keydown", (e) => {
+        if (e.key === "Enter" && !e.shiftKey) {
+          e.preventDefault();
+          finish(input.value);
+        } else if (e.key === "Escape") {
+          finish(null);
+        }
+      });
+    });
+  }
+
+  /**
+   * Render system prompt preset options
+   */
+  renderPresetOptions(presets, selectedId = "") {
+    const select = this.elements.systemPromptPreset;
+    if (!select) return;
+
+    let html = `<option value="">Custom</option>`;
+    presets.forEach((preset) => {
+      html += `<option value="${preset.id}">${this.escapeHtml(preset.name)}</option>`;
+    });
+    select.innerHTML = html;
+    select.value = selectedId;
+
+    // Only saved presets can be renamed or deleted
+    if (this.elements.renamePresetBtn) {
+      this.elements.renamePresetBtn.disabled = !selectedId;
+    }
+    if (this.elements.deletePresetBtn) {
+      this.elements.deletePresetBtn.disabled = !selectedId;
+    }
+  }
+
+  /**
+   * Render parameter profile options, both to apply to the chat and to
+   * start new chats with
+   */
+  renderProfileOptions(profiles, selectedId = "", defaultId = "") {
+    const options = profiles
+      .map(
+        (profile) =>
+          `<option value="${profile.id}">${this.escapeHtml(profile.name)}</option>`,
+      )
+      .join("");
+
+    const select = this.elements.parameterProfile;
+    if (select) {
+      select.innerHTML = `<option value="">Custom</option>${options}`;
+      select.value = selectedId;
+    }
+    const defaultSelect = this.elements.defaultProfile;
+    if (defaultSelect) {
+      defaultSelect.innerHTML = `<option value="">Model defaults</option>${options}`;
+      defaultSelect.value = defaultId;
+    }
+
+    // Only saved profiles can be updated, renamed or deleted
+    [
+      this.elements.updateProfileBtn,
+      this.elements.renameProfileBtn,
+      this.elements.deleteProfileBtn,
+    ].forEach((button) => {
+      if (button) button.disabled = !selectedId;
+    });
+  }
+
+  /**
+   * Show the profile the active chat was set from next to its title
+   * Modified profiles are marked, as the chat's settings no longer match
+   * them.
+   */
+  renderProfileBadge(profile, modified = false) {
+    const badge = this.elements.profileBadge;
+    if (!badge) return;
+
+    badge.hidden = !profile;
+    if (!profile) return;
+    badge.textContent = profile.name;
+    badge.classList.toggle("modified", modified);
+    badge.title = modified
+      ? `Settings changed since the ${profile.name} profile was applied`
+      : `Parameter profile: ${profile.name}`;
+  }
+
+  /**
+   * Render prompt template options
+   */
+  renderTemplateOptions(templates, selectedId = "") {
+    const select = this.elements.promptTemplate;
+    if (!select) return;
+
+    let html = `<option value="">New template</option>`;
+    templates.forEach((template) => {
+      html += `<option value="${template.id}">${this.escapeHtml(template.name)}</option>`;
+    });
+    select.innerHTML = html;
+    select.value = selectedId;
+
+    // Only saved templates can be renamed or deleted
+    if (this.elements.renameTemplateBtn) {
+      this.elements.renameTemplateBtn.disabled = !selectedId;
+    }
+    if (this.elements.deleteTemplateBtn) {
+      this.elements.deleteTemplateBtn.disabled = !selectedId;
+    }
+  }
+
+  /**
+   * Show the templates matching a slash command, highlighting the one that
+   * Enter would insert
+   */
+  renderTemplateSuggestions(templates, activeIndex, getCommand) {
+    const list = this.elements.templateSuggestions;
+    if (!list) return;
+
+    list.innerHTML = "";
+    list.hidden = templates.length === 0;
+    this.elements.promptInput?.setAttribute(
+      "aria-expanded",
+      String(templates.length > 0),
+    );
+
+    templates.forEach((template, index) => {
+      const option = document.createElement("li");
+      option.id = `template-suggestion-${index}`;
+      option.classList.add("template-suggestion");
+      option.setAttribute("role", "option");
+      option.setAttribute("aria-selected", String(index === activeIndex));
+      option.dataset.templateId = template.id;
+
+      const command = document.createElement("span");
+      command.classList.add("template-command");
+      command.textContent = `/${getCommand(template.name)}`;
+      option.appendChild(command);
+
+      const preview = document.createElement("span");
+      preview.classList.add("template-preview");
+      preview.textContent = template.content;
+      option.appendChild(preview);
+
+      list.appendChild(option);
+    });
+
+    const active = list.children[activeIndex];
+    if (active) {
+      active.scrollIntoView({ block: "nearest" });
+      this.elements.promptInput?.setAttribute(
+        "aria-activedescendant",
+        active.id,
+      );
+    } else {
+      this.elements.promptInput?.removeAttribute("aria-activedescendant");
+    }
+  }
+
+  /**
+   * Show the inline form for a template's variables
+   */
+  showTemplateForm(template, variables) {
+    const { templateForm, templateFormTitle, templateFormFields } =
+      this.elements;
+    if (!templateForm) return;
+
+    templateFormTitle.textContent = template.name;
+    templateFormFields.innerHTML = "";
+    variables.forEach((variable, index) => {
+      const label = document.createElement("label");
+      label.classList.add("template-field");
+      label.textContent = variable;
+
+      const input = document.createElement("textarea");
+      input.rows = 1;
+      input.name = variable;
+      input.classList.add("dialog-input");
+      // Enter sends, like in the prompt input
+      input.addEventListener("keydown", (e) => {
+        if (e.key === "Enter" && !e.shiftKey) {
+          e.preventDefault();
+          templateForm.requestSubmit();
+        } else if (e.key === "Escape") {
+          this.onCancelTemplateForm();
+        }
+      });
+      label.appendChild(input);
+      templateFormFields.appendChild(label);
+
+      if (index === 0) {
+        requestAnimationFrame(() => input.focus());
+      }
+    });
+    templateForm.hidden = false;
+  }
+
+  /**
+   * Hide the template variable form
+   */
+  hideTemplateForm() {
+    if (!this.elements.templateForm) return;
+
+    this.elements.templateForm.hidden = true;
+    this.elements.templateFormFields.innerHTML = "";
+  }
+
+  /**
+   * Get the values entered in the template variable form, by name
+   */
+  getTemplateFormValues() {
+    const fields =
+      this.elements.templateFormFields?.querySelectorAll("textarea") || [];
+    return Object.fromEntries(
+      [...fields].map((field) => [field.name, field.value]),
+    );
+  }
+
+  /**
+   * Group chats by date for display
+   */
+  groupChatsByDate(chats) {
+    const now = Date.now();
+    const oneDay = 24 * 60 * 60 * 1000;
+
+    const groups = {
+      Chats: [],
+      Yesterday: [],
+      "Previous 7 days": [],
+      "Previous 30 days": [],
+      Older: [],
+    };
+
+    chats.forEach((chat) => {
+      const age = now - chat.timestamp;
+
+      if (age < oneDay) {
+        groups["Chats"].push(chat);
+      } else if (age < 2 * oneDay) {
+        groups["Yesterday"].push(chat);
+      } else if (age < 7 * oneDay) {
+        groups["Previous 7 days"].push(chat);
+      } else if (age < 30 * oneDay) {
+        groups["Previous 30 days"].push(chat);
+      } else {
+        groups["Older"].push(chat);
+      }
+    });
+
+    return groups;
+  }
+
+  /**
+   * Format timestamp for display
+   */
+  formatTimestamp(timestamp) {
+    const date = new Date(timestamp);
+    const now = new Date();
+    const diff = now - date;
+    const oneHour = 60 * 60 * 1000;
+    const oneDay = 24 * oneHour;
+
+    if (diff < oneHour) {
+      const minutes = Math.floor(diff / (60 * 1000));
+      return minutes <= 1 ? "Just now" : `${minutes} minutes ago`;
+    } else if (diff < oneDay) {
+      const hours = Math.floor(diff / oneHour);
+      return `${hours} hour${hours > 1 ? "s" : ""} ago`;
+    } else if (diff < 7 * oneDay) {
+      return date.toLocaleDateString(undefined, {
+        weekday: "short",
+        hour: "2-digit",
+        minute: "2-digit",
+      });
+    } else {
+      return date.toLocaleDateString(undefined, {
+        month: "short",
+        day: "numeric",
+      });
+    }
+  }
+
+  /**
+   * Render message in chat
+   */
+  renderMessage(role, content) {
+    const messageDiv = document.createElement("div");
+    messageDiv.classList.add("message", role);
+
+    const bubble = document.createElement("div");
+    bubble.classList.add("message-bubble");
+    bubble.textContent = content;
+
+    messageDiv.appendChild(bubble);
+    this.elements.responseArea.appendChild(messageDiv);
+
+    // Scroll to bottom
+    this.scrollToBottom();
+
+    return bubble;
+  }
+
+  /**
+   * Update message bubble content (for streaming)
+   */
+  updateMessageBubble(bubble, content) {
+    bubble.innerHTML = content;
+  }
+
+  /**
+   * Toggle between the submit and stop buttons while a response streams
+   */
+  setGenerating(isGenerating) {
+    if (this.elements.submitButton) {
+      this.elements.submitButton.hidden = isGenerating;
+    }
+    if (this.elements.stopButton) {
+      this.elements.stopButton.hidden = !isGenerating;
+    }
+  }
+
+  /**
+   * Flag a message whose response was stopped before it finished
+   */
+  markTruncated(messageDiv) {
+    messageDiv.classList.add("truncated");
+    const note = document.createElement("small");
+    note.classList.add("message-note");
+    note.textContent = "Response stopped";
+    messageDiv.appendChild(note);
+  }
+
+  /**
+   * Show the tokens a message used as a badge under its bubble
+   */
+  renderMessageUsage(messageDiv, usage) {
+    messageDiv.querySelector(".message-usage")?.remove();
+    if (!Number.isFinite(usage?.tokens)) return;
+
+    const numberFormat = new Intl.NumberFormat("en-US");
+    const badge = document.createElement("small");
+    badge.classList.add("message-usage");
+    badge.textContent = `${numberFormat.format(usage.tokens)} token${
+      usage.tokens === 1 ? "" : "s"
+    }`;
+    badge.title = "Tokens this message uses in the model's context";
+
+    if (Number.isFinite(usage.context) && usage.quota) {
+      const context = `${numberFormat.format(
+        usage.context,
+      )} / ${numberFormat.format(usage.quota)}`;
+      badge.textContent += ` · ${context} in context`;
+      badge.title += `; ${context} tokens of context used after this response`;
+    }
+
+    // Keep the badge above the actions, which may already be there
+    messageDiv.insertBefore(
+      badge,
+      messageDiv.querySelector(".message-actions"),
+    );
+  }
+
+  /**
+   * Show a response's timing in a collapsible footer under its bubble
+   */
+  renderMessageMetrics(messageDiv, metrics) {
+    messageDiv.querySelector(".message-metrics")?.remove();
+    if (!Number.isFinite(metrics?.totalTime)) return;
+
+    const rateFormat = new Intl.NumberFormat("en-US", {
+      maximumFractionDigits: 1,
+    });
+    // Only the first response of a session waited for it to be created
+    const rows = Number.isFinite(metrics.sessionCreateTime)
+      ? [["Session start", this.formatDuration(metrics.sessionCreateTime)]]
+      : [];
+    rows.push(
+      ["First chunk", this.formatDuration(metrics.firstChunkTime)],
+      ["Total time", this.formatDuration(metrics.totalTime)],
+      [
+        "Characters/s",
+        Number.isFinite(metrics.charsPerSecond)
+          ? rateFormat.format(metrics.charsPerSecond)
+          : "–",
+      ],
+      [
+        "Tokens/s",
+        Number.isFinite(metrics.tokensPerSecond)
+          ? rateFormat.format(metrics.tokensPerSecond)
+          : "–",
+      ],
+    );
+
+    const footer = document.createElement("details");
+    footer.classList.add("message-metrics");
+
+    const summary = document.createElement("summary");
+    summary.textContent = this.formatDuration(metrics.totalTime);
+    if (Number.isFinite(metrics.tokensPerSecond)) {
+      summary.textContent += ` · ${rateFormat.format(metrics.tokensPerSecond)} tokens/s`;
+    }
+    footer.appendChild(summary);
+
+    const list = document.createElement("dl");
+    rows.forEach(([label, value]) => {
+      const term = document.createElement("dt");
+      term.textContent = label;
+      const detail = document.createElement("dd");
+      detail.textContent = value;
+      list.append(term, detail);
+    });
+    footer.appendChild(list);
+
+    messageDiv.insertBefore(
+      footer,
+      messageDiv.querySelector(".message-actions"),
+    );
+  }
+
+  /**
+   * Show the average timing of a chat's responses in the session statistics
+   */
+  renderMetricsAverages(messages = []) {
+    const metrics = messages
+      .map((message) => message.metrics)
+      .filter((item) => Number.isFinite(item?.totalTime));
+    const average = (key) => {
+      const values = metrics
+        .map((item) => item[key])
+        .filter((value) => Number.isFinite(value));
+      return values.length > 0
+        ? values.reduce((total, value) => total + value, 0) / values.length
+        : null;
+    };
+
+    const rateFormat = new Intl.NumberFormat("en-US", {
+      maximumFractionDigits: 1,
+    });
+    const formatRate = (value) =>
+      value === null ? "–" : rateFormat.format(value);
+
+    const values = {
+      avgSessionCreate: this.formatDuration(average("sessionCreateTime")),
+      avgFirstChunk: this.formatDuration(average("firstChunkTime")),
+      avgTotalTime: this.formatDuration(average("totalTime")),
+      avgCharsPerSecond: formatRate(average("charsPerSecond")),
+      avgTokensPerSecond: formatRate(average("tokensPerSecond")),
+    };
+    Object.entries(values).forEach(([key, value]) => {
+      if (this.elements[key]) {
+        this.elements[key].textContent = value;
+      }
+    });
+  }
+
+  /**
+   * Format a duration in milliseconds, or a dash if it wasn't measured
+   */
+  formatDuration(ms) {
+    if (!Number.isFinite(ms)) return "–";
+    if (ms < 1000) return `${Math.round(ms)} ms`;
+    return `${(ms / 1000).toFixed(1)} s`;
+  }
+
+  /**
+   * Render a chart of context usage after each response, against the
+   * input quota
+   */
+  renderContextChart(messages = []) {
+    const container = this.elements.contextChart;
+    if (!container) return;
+
+    const points = messages
+      .map((message) => message.usage)
+      .filter((usage) => Number.isFinite(usage?.context) && usage.quota);
+    container.innerHTML = "";
+
+    if (points.length === 0) {
+      const empty = document.createElement("p");
+      empty.classList.add("context-chart-empty");
+      empty.textContent = "Usage is charted once the model answers";
+      container.appendChild(empty);
+      return;
+    }
+
+    const quota = points[points.length - 1].quota;
+    const max = Math.max(quota, ...points.map((usage) => usage.context));
+    const width = 100;
+    const height = 50;
+    const y = (tokens) => (height * (1 - tokens / max)).toFixed(2);
+    const x = (index) =>
+      points.length === 1
+        ? width / 2
+        : ((width * index) / (points.length - 1)).toFixed(2);
+    const line = points
+      .map((usage, index) => `${x(index)},${y(usage.context)}`)
+      .join(" ");
+
+    const numberFormat = new Intl.NumberFormat("en-US");
+    const peak = Math.max(...points.map((usage) => usage.context));
+    const summary = `Peak ${numberFormat.format(peak)} of ${numberFormat.format(
+      quota,
+    )} tokens over ${points.length} response${points.length === 1 ? "" : "s"}`;
+
+    // The chart stretches to the sidebar's width, so strokes don't scale
+    container.innerHTML = `
+      <svg class="context-chart-plot" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" role="img" aria-label="${summary}">
+        <line class="context-chart-quota" x1="0" y1="${y(quota)}" x2="${width}" y2="${y(quota)}" vector-effect="non-scaling-stroke" />
+        <polyline class="context-chart-line" points="${line}" vector-effect="non-scaling-stroke" />
+        ${points
+          .map(
+            (usage, index) =>
+              `<line class="context-chart-point" x1="${x(index)}" y1="${y(usage.context)}" x2="${x(index)}" y2="${y(usage.context)}" vector-effect="non-scaling-stroke"><title>Response ${index + 1}: ${numberFormat.format(usage.context)} tokens</title></line>`,
+          )
+          .join("")}
+      </svg>
+      <p class="context-chart-summary">${summary}</p>
+    `;
+  }
+
+  /**
+   * Switch the main area between the chat and the comparison columns
+   * Attachments and structured output are turned off while comparing.
+   */
+  setCompareMode(enabled) {
+    this.compareMode = enabled;
+    this.elements.mainArea?.classList.toggle("compare-mode", enabled);
+    const { structuredOutputToggle, responseSchema, addSchemaFieldBtn } =
+      this.elements;
+    [structuredOutputToggle, responseSchema, addSchemaFieldBtn].forEach(
+      (element) => {
+        if (element) element.disabled = enabled;
+      },
+    );
+    this.updateInputState();
+    if (this.elements.compareArea) {
+      this.elements.compareArea.hidden = !enabled;
+    }
+    if (this.elements.messagesContainer) {
+      this.elements.messagesContainer.hidden = enabled;
+    }
+    this.elements.compareBtn?.setAttribute("aria-pressed", String(enabled));
+    if (this.elements.promptInput) {
+      this.elements.promptInput.placeholder = enabled
+        ? "Message every column"
+        : "Message Prompt API";
+    }
+  }
+
+  /**
+   * Show or hide the read-only preview of a shared chat
+   * While previewing, the chat can't be renamed or continued, and the
+   * buttons that act on the active chat are turned off.
+   */
+  setSharePreview(enabled) {
+    this.elements.mainArea?.classList.toggle("share-preview", enabled);
+    const { copyLinkButton, exportButton } = this.elements;
+    if (copyLinkButton) copyLinkButton.disabled = enabled;
+    if (exportButton) exportButton.disabled = enabled;
+    if (this.elements.sharePreview) {
+      this.elements.sharePreview.hidden = !enabled;
+    }
+    if (this.elements.chatTitle) {
+      this.elements.chatTitle.contentEditable = String(!enabled);
+    }
+  }
+
+  /**
+   * Render the columns of a comparison with their settings
+   * Returns the element each column's messages go into.
+   */
+  renderCompareColumns(columns, minColumns, maxColumns) {
+    const container = this.elements.compareColumns;
+    if (!container) return [];
+
+    container.innerHTML = "";
+    container.style.setProperty("--compare-columns", columns.length);
+    const temperatureMax = this.elements.temperatureSlider?.max || 2;
+    const topKMax = this.elements.topKInput?.max || 128;
+
+    const bodies = columns.map((column, index) => {
+      const section = document.createElement("section");
+      section.classList.add("compare-column");
+      section.dataset.columnIndex = index;
+      section.innerHTML = `
+        <header class="compare-column-header">
+          <span class="compare-column-title">Column ${index + 1}</span>
+          <button type="button" class="compare-remove-btn" title="Remove column" aria-label="Remove column ${index + 1}" ${columns.length <= minColumns ? "disabled" : ""}>&times;</button>
+        </header>
+        <div class="compare-column-settings">
+          <label>Temperature
+            <input type="number" class="compare-temperature" min="0" max="${temperatureMax}" step="0.1" />
+          </label>
+          <label>Top-K
+            <input type="number" class="compare-top-k" min="1" max="${topKMax}" step="1" />
+          </label>
+          <textarea class="compare-system-prompt" rows="2" placeholder="System prompt" aria-label="System prompt of column ${index + 1}"></textarea>
+        </div>
+        <div class="compare-messages"></div>
+      `;
+      section.querySelector(".compare-temperature").value =
+        column.settings.temperature;
+      section.querySelector(".compare-top-k").value = column.settings.topK;
+      section.querySelector(".compare-system-prompt").value =
+        column.settings.systemPrompt;
+
+      container.appendChild(section);
+      return section.querySelector(".compare-messages");
+    });
+
+    if (this.elements.addCompareColumnBtn) {
+      this.elements.addCompareColumnBtn.disabled = columns.length >= maxColumns;
+    }
+    return bodies;
+  }
+
+  /**
+   * Render the state of the batch runner: the loaded file, the progress of
+   * the current run and the results of the latest one
+   */
+  renderBatchRunner({ fileName, rowCount, run, running, error }) {
+    const elements = this.elements;
+    if (!elements.batchStatus) return;
+
+    const plural = (count, word) => `${count} ${word}${count === 1 ? "" : "s"}`;
+    elements.batchFileInfo.textContent = fileName
+      ? `${fileName}: ${plural(rowCount, "prompt")}`
+      : "No file loaded";
+
+    const done = run?.results.length ?? 0;
+    const failed = run?.results.filter((result) => result.error).length ?? 0;
+    elements.batchProgress.hidden = !run;
+    elements.batchProgress.value = run?.total ? done / run.total : 0;
+
+    let status = "";
+    if (error) {
+      status = error;
+    } else if (running) {
+      status = `Running prompt ${Math.min(done + 1, run.total)} of ${run.total}...`;
+    } else if (run) {
+      status = run.cancelled
+        ? `Cancelled after ${done} of ${plural(run.total, "prompt")}`
+        : `Finished ${plural(done, "prompt")}`;
+      if (failed > 0) status += `, ${failed} failed`;
+      status += ` (${new Date(run.startedAt).toLocaleString()})`;
+    }
+    elements.batchStatus.textContent = status;
+    elements.batchPreview.hidden = !running;
+
+    elements.batchLoadBtn.disabled = running;
+    elements.batchRunBtn.disabled = running || !rowCount;
+    elements.batchCancelBtn.hidden = !running;
+    elements.batchExportCSVBtn.disabled = running || done === 0;
+    elements.batchExportJSONLBtn.disabled = running || done === 0;
+
+    this.renderBatchResults(run?.results || []);
+  }
+
+  /**
+   * Render a table of batch results
+   */
+  renderBatchResults(results) {
+    const container = this.elements.batchResults;
+    container.innerHTML = "";
+    if (results.length === 0) return;
+
+    const numberFormat = new Intl.NumberFormat("en-US", {
+      maximumFractionDigits: 1,
+    });
+    const preview = (text) =>
+      text.length > 80 ? `${text.slice(0, 80)}...` : text;
+
+    const table = document.createElement("table");
+    table.classList.add("batch-table");
+    table.innerHTML = `
+      <thead>
+        <tr>
+          <th scope="col">#</th>
+          <th scope="col">Prompt</th>
+          <th scope="col">Response</th>
+          <th scope="col">Time</th>
+          <th scope="col">Tokens/s</th>
+        </tr>
+      </thead>
+      <tbody></tbody>
+    `;
+    const body = table.querySelector("tbody");
+    results.forEach((result) => {
+      const row = document.createElement("tr");
+      const cells = [
+        result.index + 1,
+        preview(result.prompt),
+        result.error ? `Error: ${result.error}` : preview(result.response),
+        this.formatDuration(result.totalTime),
+        Number.isFinite(result.tokensPerSecond)
+          ? numberFormat.format(result.tokensPerSecond)
+          : "–",
+      ];
+      cells.forEach((value, index) => {
+        const cell = document.createElement("td");
+        cell.textContent = value;
+        if (index === 2 && result.error) {
+          cell.classList.add("batch-error");
+        }
+        row.appendChild(cell);
+      });
+      if (result.truncated) {
+        row.title = "Stopped before the response was complete";
+      }
+      body.appendChild(row);
+    });
+    container.appendChild(table);
+  }
+
+  /**
+   * Render a structured response as a collapsible JSON tree, highlighting
+   * the values that failed schema validation
+   */
+  renderStructuredResponse(bubble, content, validation) {
+    bubble.innerHTML = "";
+    bubble.classList.add("structured-response");
+
+    let value;
+    let parsed = true;
+    try {
+      value = JSON.parse(content);
+    } catch {
+      parsed = false;
+    }
+
+    const header = document.createElement("div");
+    header.classList.add("structured-header");
+
+    const status = document.createElement("span");
+    status.classList.add("structured-status");
+    status.classList.toggle("invalid", !validation.valid);
+    if (validation.valid) {
+      status.textContent = "Matches schema";
+    } else if (!parsed) {
+      status.textContent = "Invalid JSON";
+    } else {
+      const count = validation.errors.length;
+      status.textContent = `${count} schema error${count === 1 ? "" : "s"}`;
+    }
+    header.appendChild(status);
+
+    const copyButton = document.createElement("button");
+    copyButton.type = "button";
+    copyButton.classList.add("structured-copy-btn");
+    copyButton.textContent = "Copy JSON";
+    copyButton.addEventListener("click", () => {
+      const text = parsed ? JSON.stringify(value, null, 2) : content;
+      navigator.clipboard
+        .writeText(text)
+        .then(() => {
+          copyButton.textContent = "Copied!";
+          setTimeout(() => {
+            copyButton.textContent = "Copy JSON";
+          }, 2000);
+        })
+        .catch((error) => {
+          this.showError(`Failed to copy: ${this.escapeHtml(error.message)}`);
+        });
+    });
+    header.appendChild(copyButton);
+    bubble.appendChild(header);
+
+    if (parsed) {
+      // Errors about missing properties point past the end of the value,
+      // so they highlight the closest node that exists
+      const errorsByPath = new Map();
+      validation.errors.forEach((error) => {
+        const path = this.resolveJSONPath(value, error.path);
+        errorsByPath.set(path, [
+          ...(errorsByPath.get(path) || []),
+          error.message,
+        ]);
+      });
+
+      const tree = document.createElement("div");
+      tree.classList.add("json-tree");
+      tree.appendChild(this.renderJSONNode(value, "", null, errorsByPath));
+      bubble.appendChild(tree);
+    } else {
+      const raw = document.createElement("pre");
+      raw.classList.add("structured-raw");
+      raw.textContent = content;
+      bubble.appendChild(raw);
+    }
+
+    if (validation.errors.length > 0) {
+      const list = document.createElement("ul");
+      list.classList.add("structured-errors");
+      validation.errors.forEach((error) => {
+        const item = document.createElement("li");
+        const path = document.createElement("code");
+        path.textContent = error.path || "/";
+        item.append(path, ` ${error.message}`);
+        list.appendChild(item);
+      });
+      bubble.appendChild(list);
+    }
+  }
+
+  /**
+   * Render one value of a JSON tree
+   * Objects and arrays become `<details>` elements so they can be collapsed
+   */
+  renderJSONNode(value, path, key, errorsByPath) {
+    const type = SchemaValidator.typeOf(value);
+    const isContainer = type === "object" || type === "array";
+    const entries = isContainer ? Object.entries(value) : [];
+
+    const node = document.createElement(entries.length > 0 ? "details" : "div");
+    node.classList.add("json-node");
+    const label = document.createElement(
+      entries.length > 0 ? "summary" : "div",
+    );
+    label.classList.add("json-label");
+
+    if (key !== null) {
+      const keySpan = document.createElement("span");
+      keySpan.classList.add("json-key");
+      keySpan.textContent = `${key}: `;
+      label.appendChild(keySpan);
+    }
+
+    const valueSpan = document.createElement("span");
+    valueSpan.classList.add("json-value", `json-${type}`);
+    if (type === "array") {
+      valueSpan.textContent = `[${entries.length}]`;
+    } else if (type === "object") {
+      valueSpan.textContent = `{${entries.length}}`;
+    } else {
+      valueSpan.textContent = JSON.stringify(value);
+    }
+    label.appendChild(valueSpan);
+    node.appendChild(label);
+
+    const errors = errorsByPath.get(path);
+    if (errors) {
+      node.classList.add("json-error");
+      label.title = errors.join("\n");
+    }
+
+    if (entries.length > 0) {
+      node.open = true;
+      entries.forEach(([childKey, child]) => {
+        node.appendChild(
+          this.renderJSONNode(
+            child,
+            SchemaValidator.pointer(path, childKey),
+            childKey,
+            errorsByPath,
+          ),
+        );
+      });
+    }
+
+    return node;
+  }
+
+  /**
+   * Find the deepest part of a JSON Pointer that exists in a value
+   */
+  resolveJSONPath(value, path) {
+    let resolved = "";
+    let current = value;
+    for (const segment of path.split("/").slice(1)) {
+      const key = segment.replace(/~1/g, "/").replace(/~0/g, "~");
+      if (
+        current === null ||
+        typeof current !== "object" ||
+        !(key in current)
+      ) {
+        break;
+      }
+      current = current[key];
+      resolved = SchemaValidator.pointer(resolved, key);
+    }
+    return resolved;
+  }
+
+  /**
+   * Show the structured output settings of a chat
+   */
+  renderStructuredOutput(structuredOutput) {
+    if (this.elements.structuredOutputToggle) {
+      this.elements.structuredOutputToggle.checked = structuredOutput.enabled;
+    }
+    if (this.elements.responseSchema) {
+      this.elements.responseSchema.value = structuredOutput.schema;
+    }
+    this.showSchemaError(null);
+  }
+
+  /**
+   * Show or clear the error below the response schema editor
+   */
+  showSchemaError(message) {
+    const errorElement = this.elements.responseSchemaError;
+    if (!errorElement) return;
+    errorElement.textContent = message || "";
+    errorElement.hidden = !message;
+    this.elements.responseSchema?.classList.toggle("invalid", !!message);
+  }
+
+  /**
+   * Accept files dropped anywhere on the chat area
+   */
+  setupAttachmentDrop() {
+    const dropZone = document.getElementById("main-area");
+    if (!dropZone) return;
+
+    const hasFiles = (e) => e.dataTransfer?.types.includes("Files");
+    let depth = 0;
+
+    dropZone.addEventListener("dragenter", (e) => {
+      if (!hasFiles(e) || this.elements.addButton?.disabled) return;
+      depth++;
+      this.elements.inputArea?.classList.add("drag-over");
+    });
+    dropZone.addEventListener("dragover", (e) => {
+      if (!hasFiles(e) || this.elements.addButton?.disabled) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = "copy";
+    });
+    dropZone.addEventListener("dragleave", (e) => {
+      if (!hasFiles(e) || depth === 0) return;
+      depth--;
+      if (depth === 0) {
+        this.elements.inputArea?.classList.remove("drag-over");
+      }
+    });
+    dropZone.addEventListener("drop", (e) => {
+      if (!hasFiles(e) || this.elements.addButton?.disabled) return;
+      e.preventDefault();
+      depth = 0;
+      this.elements.inputArea?.classList.remove("drag-over");
+      this.onAddAttachments([...e.dataTransfer.files]);
+    });
+  }
+
+  /**
+   * Enable the attach button for the attachment types the model accepts
+   */
+  setAttachmentSupport(types) {
+    this.attachmentTypes = types;
+    const { addButton, attachmentInput } = this.elements;
+    if (attachmentInput) {
+      attachmentInput.accept = types.map((type) => `${type}/*`).join(",");
+    }
+    if (addButton) {
+      addButton.title =
+        types.length === 0
+          ? "This model doesn't accept image or audio input"
+          : `Attach ${types.join(" or ")}`;
+      addButton.setAttribute("aria-label", addButton.title);
+    }
+    this.updateInputState();
+  }
+
+  /**
+   * Show the model availability above the input and only enable the chat
+   * once the model is ready
+   */
+  renderModelAvailability(state, progress, isDownloading, unavailableMessage) {
+    const { modelStatus, modelStatusText, downloadProgress, downloadModelBtn } =
+      this.elements;
+
+    this.modelReady = state === AVAILABILITY.AVAILABLE;
+    this.updateInputState();
+    if (!modelStatus) return;
+
+    modelStatus.hidden = this.modelReady;
+    modelStatus.dataset.state = state;
+
+    switch (state) {
+      case AVAILABILITY.UNAVAILABLE:
+        modelStatusText.textContent = unavailableMessage;
+        break;
+      case AVAILABILITY.DOWNLOADABLE:
+        modelStatusText.textContent =
+          "Gemini Nano needs to be downloaded before you can start chatting.";
+        break;
+      case AVAILABILITY.DOWNLOADING:
+        modelStatusText.textContent =
+          progress === null
+            ? "Downloading Gemini Nano..."
+            : `Downloading Gemini Nano... ${Math.floor(progress * 100)}%`;
+        break;
+    }
+
+    // A progress bar without a value is shown as indeterminate
+    downloadProgress.hidden = state !== AVAILABILITY.DOWNLOADING;
+    if (progress === null) {
+      downloadProgress.removeAttribute("value");
+    } else {
+      downloadProgress.value = progress;
+    }
+
+    // A download started elsewhere can only be followed after a click
+    downloadModelBtn.hidden =
+      isDownloading ||
+      (state !== AVAILABILITY.DOWNLOADABLE &&
+        state !== AVAILABILITY.DOWNLOADING);
+    downloadModelBtn.textContent =
+      state === AVAILABILITY.DOWNLOADING ? "Show progress" : "Download model";
+  }
+
+  /**
+   * Show the selected provider and its connection settings
+   */
+  renderProviderSettings(providerId, openaiSettings) {
+    const { providerSelect, openaiSettings: section } = this.elements;
+    if (providerSelect) providerSelect.value = providerId;
+    if (section) section.hidden = providerId !== "openai";
+    if (this.elements.openaiEndpoint) {
+      this.elements.openaiEndpoint.value = openaiSettings.endpoint;
+    }
+    if (this.elements.openaiModel) {
+      this.elements.openaiModel.value = openaiSettings.model;
+    }
+  }
+
+  /**
+   * Enable the prompt input only when the model can answer
+   */
+  updateInputState() {
+    const { promptInput, submitButton, addButton } = this.elements;
+    if (promptInput) promptInput.disabled = !this.modelReady;
+    if (submitButton) submitButton.disabled = !this.modelReady;
+    if (addButton) {
+      addButton.disabled =
+        !this.modelReady ||
+        this.compareMode ||
+        this.attachmentTypes.length === 0;
+    }
+  }
+
+  /**
+   * Render the attachments waiting to be sent with the next prompt
+   */
+  renderAttachmentTray(attachments) {
+    const tray = this.elements.attachmentTray;
+    if (!tray) return;
+
+    tray.innerHTML = "";
+    tray.hidden = attachments.length === 0;
+
+    attachments.forEach((attachment) => {
+      const item = document.createElement("div");
+      item.classList.add("attachment-chip");
+      item.title = attachment.name;
+
+      if (attachment.type === "image") {
+        const image = document.createElement("img");
+        image.src = attachment.data;
+        image.alt = "";
+        item.appendChild(image);
+      } else {
+        const icon = document.createElement("span");
+        icon.classList.add("attachment-chip-icon");
+        icon.textContent = "♪";
+        item.appendChild(icon);
+      }
+
+      const name = document.createElement("span");
+      name.classList.add("attachment-chip-name");
+      name.textContent = attachment.name;
+      item.appendChild(name);
+
+      const removeButton = document.createElement("button");
+      removeButton.type = "button";
+      removeButton.classList.add("attachment-remove-btn");
+      removeButton.dataset.attachmentId = attachment.id;
+      removeButton.title = `Remove ${attachment.name}`;
+      removeButton.setAttribute("aria-label", removeButton.title);
+      removeButton.textContent = "×";
+      item.appendChild(removeButton);
+
+      tray.appendChild(item);
+    });
+  }
+
+  /**
+   * Show the attachments of a message above its bubble
+   */
+  renderMessageAttachments(messageDiv, attachments) {
+    if (!attachments?.length) return;
+
+    const container = document.createElement("div");
+    container.classList.add("message-attachments");
+
+    attachments.forEach((attachment) => {
+      if (attachment.type === "image") {
+        const image = document.createElement("img");
+        image.classList.add("message-attachment-image");
+        image.src = attachment.data;
+        image.alt = attachment.name;
+        image.title = attachment.name;
+        container.appendChild(image);
+      } else {
+        const audio = document.createElement("audio");
+        audio.classList.add("message-attachment-audio");
+        audio.controls = true;
+        audio.src = attachment.data;
+        audio.title = attachment.name;
+        container.appendChild(audio);
+      }
+    });
+
+    messageDiv.prepend(container);
+
+    // Prompts made of attachments alone don't need an empty bubble
+    const bubble = messageDiv.querySelector(".message-bubble");
+    if (bubble && !bubble.textContent) {
+      bubble.hidden = true;
+    }
+  }
+
+  /**
+   * Scroll messages to bottom
+   */
+  scrollToBottom() {
+    this.elements.messagesContainer.scrollTop =
+      this.elements.messagesContainer.scrollHeight;
+  }
+
+  /**
+   * Clear messages area
+   */
+  clearMessages() {
+    this.elements.responseArea.innerHTML = "";
+  }
+
+  /**
+   * Show error message
+   */
+  showError(message) {
+    this.elements.errorMessage.innerHTML = message;
+    this.elements.errorMessage.style.display = "block";
+
+    setTimeout(() => {
+      this.elements.errorMessage.style.display = "none";
+    }, 5000);
+  }
+
+  /**
+   * Update session stats display
+   */
+  updateStats(session) {
+    const numberFormat = new Intl.NumberFormat("en-US");
+    const decimalFormat = new Intl.NumberFormat("en-US", {
+      minimumFractionDigits: 1,
+      maximumFractionDigits: 1,
+    });
+
+    if (this.elements.temperature) {
+      this.elements.temperature.textContent = decimalFormat.format(
+        session.temperature,
+      );
+    }
+    if (this.elements.topK) {
+      this.elements.topK.textContent = numberFormat.format(session.topK);
+    }
+
+    const maxTokens = session.inputQuota || session.maxTokens;
+    const tokensUsed = session.inputUsage || session.tokensSoFar;
+    const tokensLeft =
+      session.tokensSoFar || session.inputQuota - session.inputUsage;
+
+    if (this.elements.maxTokens) {
+      this.elements.maxTokens.textContent = numberFormat.format(maxTokens);
+    }
+    if (this.elements.tokensSoFar) {
+      this.elements.tokensSoFar.textContent = numberFormat.format(tokensUsed);
+    }
+    if (this.elements.tokensLeft) {
+      this.elements.tokensLeft.textContent = numberFormat.format(tokensLeft);
+    }
+  }
+
+  /**
+   * Mark which messages are in the model's context and which were dropped
+   */
+  markContextWindow(firstIndex, totalMessages, summary = null) {
+    const responseArea = this.elements.responseArea;
+    responseArea
+      .querySelectorAll(".context-divider, .summary-divider")
+      .forEach((divider) => divider.remove());
+
+    const summaryEnd = summary?.endIndex ?? 0;
+    responseArea
+      .querySelectorAll(".message[data-message-index]")
+      .forEach((messageDiv) => {
+        const index = Number(messageDiv.dataset.messageIndex);
+        const summarized = index < summaryEnd;
+        const dropped = !summarized && index < firstIndex;
+        messageDiv.classList.toggle("summarized", summarized);
+        messageDiv.classList.toggle("out-of-context", dropped);
+        if (summarized) {
+          messageDiv.title = "Summarized in the model's context";
+        } else {
+          messageDiv.title = dropped ? "Not in the model's context" : "";
+        }
+      });
+
+    if (summary) {
+      this.insertDivider(this.createSummaryDivider(summary), summaryEnd);
+    }
+
+    if (firstIndex > summaryEnd) {
+      const divider = document.createElement("div");
+      divider.classList.add("context-divider");
+      divider.textContent = this.insertDivider(divider, firstIndex)
+        ? "Earlier messages are not in the model's context"
+        : "Previous messages are not in the model's context";
+    }
+
+    if (this.elements.contextMessages) {
+      const numberFormat = new Intl.NumberFormat("en-US");
+      let text = `${numberFormat.format(
+        totalMessages - firstIndex,
+      )} / ${numberFormat.format(totalMessages)}`;
+      if (summaryEnd > 0) {
+        text += ` (${numberFormat.format(summaryEnd)} summarized)`;
+      }
+      this.elements.contextMessages.textContent = text;
+    }
+  }
+
+  /**
+   * Insert a divider before a message, or at the end if it isn't shown
+   * Returns whether the message was found
+   */
+  insertDivider(divider, messageIndex) {
+    const message = this.elements.responseArea.querySelector(
+      `.message[data-message-index="${messageIndex}"]`,
+    );
+    if (message) {
+      this.elements.responseArea.insertBefore(divider, message);
+    } else {
+      this.elements.responseArea.appendChild(divider);
+    }
+    return !!message;
+  }
+
+  /**
+   * Create the divider that closes the summarized range, with the summary
+   * the model sees instead of those messages
+   */
+  createSummaryDivider(summary) {
+    const divider = document.createElement("details");
+    divider.classList.add("summary-divider");
+
+    const label = document.createElement("summary");
+    label.textContent = "Messages above are summarized in the model's context";
+    divider.appendChild(label);
+
+    const content = document.createElement("p");
+    content.classList.add("summary-content");
+    content.textContent = summary.content;
+    divider.appendChild(content);
+
+    return divider;
+  }
+
+  /**
+   * Setup textarea auto-resize
+   */
+  setupTextareaAutoResize() {
     if (!this.elements.promptInput) return;
 
     this.elements.promptInput.addEventListener("input", () => {
@@ -440,6 +2590,13 @@ export class UIManager {
     return div.innerHTML;
   }
 
+  /**
+   * Escape text for use inside a quoted HTML attribute
+   */
+  escapeAttribute(text) {
+    return this.escapeHtml(text).replace(/"/g, "&quot;");
+  }
+
   /**
    * Event handlers (to be connected with main app)
    */
@@ -458,8 +2615,169 @@ export class UIManager {
     console.log("Chat delete requested:", chatId);
   }
 
+  onBranchFromMessage(messageIndex) {
+    // Will be implemented in main app
+    console.log("Branch requested from message:", messageIndex);
+  }
+
+  onEditMessage(messageIndex) {
+    // Will be implemented in main app
+    console.log("Edit requested for message:", messageIndex);
+  }
+
+  onRegenerateMessage(messageIndex) {
+    // Will be implemented in main app
+    console.log("Regenerate requested for message:", messageIndex);
+  }
+
+  onSelectMessageVersion(messageIndex, step) {
+    // Will be implemented in main app
+    console.log("Version change requested for message:", messageIndex, step);
+  }
+
+  onDownloadModel() {
+    // Will be implemented in main app
+    console.log("Model download requested");
+  }
+
+  onAddAttachments(files) {
+    // Will be implemented in main app
+    console.log("Attachments added:", files);
+  }
+
+  onRemoveAttachment(attachmentId) {
+    // Will be implemented in main app
+    console.log("Attachment removed:", attachmentId);
+  }
+
+  onInsertTemplate(templateId) {
+    // Will be implemented in main app
+    console.log("Template insert requested:", templateId);
+  }
+
+  onSubmitTemplateForm(values) {
+    // Will be implemented in main app
+    console.log("Template form submitted:", values);
+  }
+
+  onCancelTemplateForm() {
+    // Will be implemented in main app
+    console.log("Template form cancelled");
+  }
+
+  onToggleCompare() {
+    // Will be implemented in main app
+    console.log("Compare mode toggled");
+  }
+
+  onAddCompareColumn() {
+    // Will be implemented in main app
+    console.log("Compare column added");
+  }
+
+  onRemoveCompareColumn(columnIndex) {
+    // Will be implemented in main app
+    console.log("Compare column removed:", columnIndex);
+  }
+
+  onCompareColumnChange(columnIndex, settings) {
+    // Will be implemented in main app
+    console.log("Compare column changed:", columnIndex, settings);
+  }
+
+  onStopGeneration() {
+    // Will be implemented in main app
+    console.log("Stop generation requested");
+  }
+
+  onTogglePin(chatId) {
+    // Will be implemented in main app
+    console.log("Pin toggled for chat:", chatId);
+  }
+
+  onEditTags(chatId) {
+    // Will be implemented in main app
+    console.log("Tag editing requested for chat:", chatId);
+  }
+
+  onMoveChatToFolder(chatId, folderId) {
+    // Will be implemented in main app
+    console.log("Chat moved to folder:", chatId, folderId);
+  }
+
+  onCreateFolder() {
+    // Will be implemented in main app
+    console.log("New folder requested");
+  }
+
+  onRenameFolder(folderId) {
+    // Will be implemented in main app
+    console.log("Folder rename requested:", folderId);
+  }
+
+  onDeleteFolder(folderId) {
+    // Will be implemented in main app
+    console.log("Folder delete requested:", folderId);
+  }
+
+  onBulkTag(chatIds) {
+    // Will be implemented in main app
+    console.log("Tag chats:", chatIds);
+  }
+
+  onBulkMove(chatIds, folderId) {
+    // Will be implemented in main app
+    console.log("Move chats:", chatIds, folderId);
+  }
+
+  onBulkExport(chatIds) {
+    // Will be implemented in main app
+    console.log("Export chats:", chatIds);
+  }
+
+  onBulkMerge(chatIds) {
+    // Will be implemented in main app
+    console.log("Merge chats:", chatIds);
+  }
+
+  onBulkDelete(chatIds) {
+    // Will be implemented in main app
+    console.log("Delete chats:", chatIds);
+  }
+
+  onRestoreChat(chatId) {
+    // Will be implemented in main app
+    console.log("Restore chat:", chatId);
+  }
+
+  onPurgeChat(chatId) {
+    // Will be implemented in main app
+    console.log("Delete chat for good:", chatId);
+  }
+
+  onEmptyTrash() {
+    // Will be implemented in main app
+    console.log("Empty trash requested");
+  }
+
+  onSaveSharedChat() {
+    // Will be implemented in main app
+    console.log("Shared chat save requested");
+  }
+
+  onCloseSharePreview() {
+    // Will be implemented in main app
+    console.log("Shared chat preview closed");
+  }
+
+  onSearchResultSelect(chatId, messageIndex) {
+    // Will be implemented in main app
+    console.log("Search result selected:", chatId, messageIndex);
+  }
+
   onSearchChats(query) {
-    this.renderChatHistory(query.trim() || null);
+    this.searchQuery = query.trim() || null;
+    this.renderChatHistory();
   }
 
   onChatTitleChange() {